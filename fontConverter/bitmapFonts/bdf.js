@@ -0,0 +1,122 @@
+// bdf.js
+// Glyph Bitmap Distribution Format (X11 BDF 2.1)
+
+const { rowBytes } = require('../utils/bitmap');
+
+/**
+ * Разбирает BDF
+ * Возвращает { width, height, ascent, descent, charset, glyphs: Map(код → глиф) },
+ * глиф — { bytes, width, height, left, top, advance }
+ */
+function parseBDF(buffer) {
+    const lines = buffer.toString('latin1').split(/\r?\n/);
+
+    const font = {
+        width: 0,
+        height: 0,
+        ascent: null,
+        descent: null,
+        charset: null,
+        glyphs: new Map(),
+    };
+
+    let registry = null;
+    let charsetEncoding = null;
+    let bbox = [0, 0, 0, 0];
+    let glyph = null;
+    let bitmapRows = null;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        const [key, ...rest] = line.split(/\s+/);
+
+        if (bitmapRows) {
+            if (key === 'ENDCHAR') {
+                finishGlyph(font, glyph, bitmapRows);
+                glyph = null;
+                bitmapRows = null;
+            } else {
+                bitmapRows.push(line);
+            }
+            continue;
+        }
+
+        switch (key) {
+            case 'FONTBOUNDINGBOX':
+                bbox = rest.map(Number);
+                font.width = bbox[0];
+                font.height = bbox[1];
+                break;
+            case 'FONT_ASCENT':
+                font.ascent = Number(rest[0]);
+                break;
+            case 'FONT_DESCENT':
+                font.descent = Number(rest[0]);
+                break;
+            case 'CHARSET_REGISTRY':
+                registry = unquote(rest.join(' '));
+                break;
+            case 'CHARSET_ENCODING':
+                charsetEncoding = unquote(rest.join(' '));
+                break;
+            case 'STARTCHAR':
+                glyph = { code: -1, advance: bbox[0], bbx: bbox.slice() };
+                break;
+            case 'ENCODING':
+                // "ENCODING -1 n" — нестандартный код n
+                glyph.code = Number(rest[0]) >= 0 ? Number(rest[0]) : Number(rest[1] ?? -1);
+                break;
+            case 'DWIDTH':
+                glyph.advance = Number(rest[0]);
+                break;
+            case 'BBX':
+                glyph.bbx = rest.map(Number);
+                break;
+            case 'BITMAP':
+                bitmapRows = [];
+                break;
+        }
+    }
+
+    if (font.ascent === null) font.ascent = bbox[1] + bbox[3];
+    if (font.descent === null) font.descent = -bbox[3];
+    if (registry) font.charset = charsetEncoding ? `${registry}-${charsetEncoding}` : registry;
+
+    return font;
+}
+
+function finishGlyph(font, glyph, rows) {
+    if (!glyph || glyph.code < 0) return;
+
+    const [w, h, xoff, yoff] = glyph.bbx;
+    const stride = rowBytes(w);
+    const bytes = new Array(stride * h).fill(0);
+
+    for (let y = 0; y < h && y < rows.length; y++) {
+        const hex = rows[y];
+        for (let i = 0; i < stride; i++) {
+            bytes[y * stride + i] = parseInt(hex.substr(i * 2, 2), 16) || 0;
+        }
+        // биты за пределами ширины глифа обнуляем
+        if (w & 7) bytes[y * stride + stride - 1] &= (0xff << (8 - (w & 7))) & 0xff;
+    }
+
+    font.glyphs.set(glyph.code, {
+        bytes,
+        width: w,
+        height: h,
+        left: xoff,
+        top: yoff + h,
+        advance: glyph.advance,
+    });
+}
+
+function unquote(s) {
+    return s.replace(/^"(.*)"$/, '$1');
+}
+
+module.exports = {
+    parseBDF,
+};
@@ -0,0 +1,114 @@
+// Растровые шрифты, которые читаются напрямую, минуя FreeType:
+// формат определяется по содержимому файла, .gz распаковывается.
+// Сюда же относятся header, сгенерированные font2header
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { loadEncoding } = require('../encodings');
+const { parseBDF } = require('./bdf');
+const { parsePCF } = require('./pcf');
+const { parsePSF } = require('./psf');
+const { isHeader, parseHeader } = require('../utils/headerReader');
+
+/**
+ * Формат по первым байтам: 'bdf', 'pcf', 'psf1', 'psf2', 'header' или null (отдаётся FreeType)
+ */
+function detectFormat(buffer) {
+    if (buffer.length >= 2 && buffer.readUInt16LE(0) === 0x0436) return 'psf1';
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x864ab572) return 'psf2';
+    if (buffer.length >= 4 && buffer.toString('latin1', 0, 4) === '\x01fcp') return 'pcf';
+    if (/^\s*STARTFONT\s/.test(buffer.toString('latin1', 0, 64))) return 'bdf';
+    if (!buffer.includes(0) && isHeader(buffer.toString('utf8'))) return 'header';
+    return null;
+}
+
+function readFontFile(fontPath) {
+    const buffer = fs.readFileSync(fontPath);
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return zlib.gunzipSync(buffer);
+    }
+    return buffer;
+}
+
+/**
+ * Загружает растровый шрифт или возвращает null, если это не BDF/PCF/PSF
+ *
+ * Результат: { format, width, height, ascent, descent, unicode, charset, glyphs },
+ * glyphs — Map(код → { bytes, width, height, left, top, advance }).
+ * У header ещё encoding — имя кодировки из его комментария.
+ * unicode = false — коды шрифта не Unicode, их переводит таблица кодировки
+ */
+function loadBitmapFont(fontPath) {
+    const buffer = readFontFile(fontPath);
+    const format = detectFormat(buffer);
+
+    if (!format) return null;
+
+    let font;
+    if (format === 'bdf') font = parseBDF(buffer);
+    else if (format === 'pcf') font = parsePCF(buffer);
+    else if (format === 'header') font = headerFont(buffer, fontPath);
+    else font = parsePSF(buffer);
+
+    if (font.unicode === undefined) {
+        font.unicode = isUnicodeCharset(font.charset);
+        font.nativeTable = font.unicode ? null : charsetTable(font.charset);
+    }
+
+    return { format, ...font };
+}
+
+/**
+ * Header font2header: ячейки целиком, слоты в его кодировке
+ * (старые header без комментария Encoding — cp866)
+ */
+function headerFont(buffer, fontPath) {
+    const header = parseHeader(buffer.toString('utf8'), fontPath);
+    const width = header.glyphWidth;
+    const height = header.glyphHeight;
+
+    const glyphs = new Map(
+        header.glyphs.map((bytes, code) => [
+            code,
+            { bytes, width, height, left: 0, top: height, advance: width },
+        ])
+    );
+
+    return {
+        width,
+        height,
+        ascent: height,
+        descent: 0,
+        bpp: header.bpp,
+        unicode: false,
+        encoding: header.encoding || 'cp866',
+        nativeTable: charsetTable(header.encoding || 'cp866'),
+        glyphs,
+    };
+}
+
+function isUnicodeCharset(charset) {
+    return !charset || /^ISO10646/i.test(charset) || /^ISO8859-1$/i.test(charset);
+}
+
+/**
+ * Таблица встроенной кодировки по CHARSET_REGISTRY-CHARSET_ENCODING
+ * (IBM-CP437, KOI8-R, MICROSOFT-CP1251, ...), null — неизвестна
+ */
+function charsetTable(charset) {
+    const candidates = [charset, charset.replace(/^[^-]*-/, ''), charset.replace(/-/g, '')];
+
+    for (const name of candidates) {
+        try {
+            return loadEncoding(name.toLowerCase()).table;
+        } catch (e) {
+            // пробуем следующий вариант
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    detectFormat,
+    loadBitmapFont,
+};
@@ -0,0 +1,238 @@
+// pcf.js
+// X11 Portable Compiled Font
+
+const { rowBytes, createGlyph, setPixel } = require('../utils/bitmap');
+const { SourceError } = require('../errors');
+
+const PCF_PROPERTIES = 1 << 0;
+const PCF_ACCELERATORS = 1 << 1;
+const PCF_METRICS = 1 << 2;
+const PCF_BITMAPS = 1 << 3;
+const PCF_BDF_ENCODINGS = 1 << 5;
+const PCF_BDF_ACCELERATORS = 1 << 8;
+
+const PCF_COMPRESSED_METRICS = 0x100;
+const PCF_GLYPH_PAD_MASK = 3;
+const PCF_BYTE_MASK = 1 << 2;
+const PCF_BIT_MASK = 1 << 3;
+const PCF_SCAN_UNIT_MASK = 3 << 4;
+
+const NO_GLYPH = 0xffff;
+
+/**
+ * Чтение таблицы с порядком байт из её поля format
+ */
+class TableReader {
+    constructor(buffer, offset) {
+        this.buffer = buffer;
+        this.format = buffer.readUInt32LE(offset);
+        this.bigEndian = (this.format & PCF_BYTE_MASK) !== 0;
+        this.o = offset + 4;
+    }
+
+    int8() {
+        return this.buffer.readInt8(this.o++);
+    }
+
+    uint8() {
+        return this.buffer.readUInt8(this.o++);
+    }
+
+    int16() {
+        const v = this.bigEndian ? this.buffer.readInt16BE(this.o) : this.buffer.readInt16LE(this.o);
+        this.o += 2;
+        return v;
+    }
+
+    uint16() {
+        const v = this.bigEndian ? this.buffer.readUInt16BE(this.o) : this.buffer.readUInt16LE(this.o);
+        this.o += 2;
+        return v;
+    }
+
+    int32() {
+        const v = this.bigEndian ? this.buffer.readInt32BE(this.o) : this.buffer.readInt32LE(this.o);
+        this.o += 4;
+        return v;
+    }
+}
+
+/**
+ * Разбирает PCF
+ * Возвращает { width, height, ascent, descent, charset, glyphs: Map(код → глиф) }
+ */
+function parsePCF(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== '\x01fcp') {
+        throw new SourceError('Not a PCF font');
+    }
+
+    const count = buffer.readInt32LE(4);
+    const tables = {};
+
+    for (let i = 0; i < count; i++) {
+        const o = 8 + i * 16;
+        const type = buffer.readInt32LE(o);
+        tables[type] = { format: buffer.readInt32LE(o + 4), offset: buffer.readInt32LE(o + 12) };
+    }
+
+    for (const type of [PCF_METRICS, PCF_BITMAPS, PCF_BDF_ENCODINGS]) {
+        if (!tables[type]) throw new SourceError(`PCF: missing table ${type}`);
+    }
+
+    const props = tables[PCF_PROPERTIES] ? readProperties(buffer, tables[PCF_PROPERTIES].offset) : {};
+    const metrics = readMetrics(buffer, tables[PCF_METRICS].offset);
+    const bitmaps = readBitmaps(buffer, tables[PCF_BITMAPS].offset, metrics);
+    const encodings = readEncodings(buffer, tables[PCF_BDF_ENCODINGS].offset);
+
+    const accel = tables[PCF_BDF_ACCELERATORS] || tables[PCF_ACCELERATORS];
+    const bounds = accel ? readAccelerators(buffer, accel.offset) : null;
+
+    const ascent = props.FONT_ASCENT ?? (bounds ? bounds.ascent : Math.max(...metrics.map((m) => m.ascent)));
+    const descent =
+        props.FONT_DESCENT ?? (bounds ? bounds.descent : Math.max(...metrics.map((m) => m.descent)));
+
+    const glyphs = new Map();
+    for (const [code, index] of encodings) {
+        if (bitmaps[index]) glyphs.set(code, bitmaps[index]);
+    }
+
+    let charset = null;
+    if (props.CHARSET_REGISTRY) {
+        charset = props.CHARSET_ENCODING
+            ? `${props.CHARSET_REGISTRY}-${props.CHARSET_ENCODING}`
+            : props.CHARSET_REGISTRY;
+    }
+
+    return {
+        width: Math.max(...metrics.map((m) => m.advance)),
+        height: ascent + descent,
+        ascent,
+        descent,
+        charset,
+        glyphs,
+    };
+}
+
+function readProperties(buffer, offset) {
+    const r = new TableReader(buffer, offset);
+    const n = r.int32();
+    const raw = [];
+
+    for (let i = 0; i < n; i++) {
+        raw.push({ name: r.int32(), isString: r.int8() !== 0, value: r.int32() });
+    }
+
+    r.o += n & 3 ? 4 - (n & 3) : 0;
+    r.int32(); // размер строк
+    const strings = r.o;
+
+    const str = (at) => {
+        const start = strings + at;
+        return buffer.toString('latin1', start, buffer.indexOf(0, start));
+    };
+
+    const props = {};
+    for (const p of raw) {
+        props[str(p.name)] = p.isString ? str(p.value) : p.value;
+    }
+    return props;
+}
+
+function readMetrics(buffer, offset) {
+    const r = new TableReader(buffer, offset);
+    const compressed = (r.format & ~0xff) === PCF_COMPRESSED_METRICS;
+    const n = compressed ? r.int16() : r.int32();
+    const metrics = [];
+
+    for (let i = 0; i < n; i++) {
+        if (compressed) {
+            metrics.push({
+                left: r.uint8() - 0x80,
+                right: r.uint8() - 0x80,
+                advance: r.uint8() - 0x80,
+                ascent: r.uint8() - 0x80,
+                descent: r.uint8() - 0x80,
+            });
+        } else {
+            metrics.push({
+                left: r.int16(),
+                right: r.int16(),
+                advance: r.int16(),
+                ascent: r.int16(),
+                descent: r.int16(),
+            });
+            r.int16(); // attributes
+        }
+    }
+
+    return metrics;
+}
+
+function readAccelerators(buffer, offset) {
+    const r = new TableReader(buffer, offset);
+    r.o += 8; // noOverlap, constantMetrics, terminalFont, constantWidth, inkInside, inkMetrics, drawDirection, padding
+    return { ascent: r.int32(), descent: r.int32() };
+}
+
+/**
+ * Bitmap → построчно, MSB first, ceil(w / 8) байт на строку
+ */
+function readBitmaps(buffer, offset, metrics) {
+    const r = new TableReader(buffer, offset);
+    const n = r.int32();
+    const offsets = [];
+
+    for (let i = 0; i < n; i++) offsets.push(r.int32());
+    r.o += 16; // bitmapSizes[4]
+
+    const data = r.o;
+    const pad = 1 << (r.format & PCF_GLYPH_PAD_MASK);
+    const unit = 1 << ((r.format & PCF_SCAN_UNIT_MASK) >> 4);
+    const msbBits = (r.format & PCF_BIT_MASK) !== 0;
+    const swap = msbBits !== r.bigEndian && unit > 1;
+
+    return metrics.map((m, i) => {
+        const width = m.right - m.left;
+        const height = m.ascent + m.descent;
+        const stride = Math.ceil(rowBytes(width) / pad) * pad;
+        const bytes = createGlyph(width, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let byte = y * stride + (x >> 3);
+                if (swap) byte = byte - (byte % unit) + (unit - 1 - (byte % unit));
+
+                const value = buffer[data + offsets[i] + byte];
+                const bit = msbBits ? 7 - (x & 7) : x & 7;
+                if ((value >> bit) & 1) setPixel(bytes, width, x, y);
+            }
+        }
+
+        return { bytes, width, height, left: m.left, top: m.ascent, advance: m.advance };
+    });
+}
+
+/**
+ * Код символа → номер глифа
+ */
+function readEncodings(buffer, offset) {
+    const r = new TableReader(buffer, offset);
+    const min2 = r.int16();
+    const max2 = r.int16();
+    const min1 = r.int16();
+    const max1 = r.int16();
+    r.int16(); // default_char
+
+    const map = new Map();
+    for (let b1 = min1; b1 <= max1; b1++) {
+        for (let b2 = min2; b2 <= max2; b2++) {
+            const index = r.uint16();
+            if (index !== NO_GLYPH) map.set((b1 << 8) | b2, index);
+        }
+    }
+    return map;
+}
+
+module.exports = {
+    parsePCF,
+};
@@ -0,0 +1,128 @@
+// psf.js
+// PC Screen Font: PSF1 (ширина 8) и PSF2, с необязательной таблицей Unicode
+
+const { rowBytes } = require('../utils/bitmap');
+const { SourceError } = require('../errors');
+
+const PSF1_MAGIC = 0x0436;
+const PSF1_MODE512 = 0x01;
+const PSF1_MODEHASTAB = 0x02;
+const PSF1_SEPARATOR = 0xffff;
+const PSF1_STARTSEQ = 0xfffe;
+
+const PSF2_MAGIC = 0x864ab572;
+const PSF2_HAS_UNICODE_TABLE = 0x01;
+const PSF2_SEPARATOR = 0xff;
+const PSF2_STARTSEQ = 0xfe;
+
+/**
+ * Разбирает PSF1/PSF2
+ * Возвращает { width, height, ascent, descent, unicode, glyphs: Map(код → глиф) }:
+ * при наличии таблицы ключи — Unicode, иначе — номер глифа
+ */
+function parsePSF(buffer) {
+    if (buffer.readUInt16LE(0) === PSF1_MAGIC) {
+        return parsePSF1(buffer);
+    }
+    if (buffer.length >= 32 && buffer.readUInt32LE(0) === PSF2_MAGIC) {
+        return parsePSF2(buffer);
+    }
+    throw new SourceError('Not a PSF font');
+}
+
+function parsePSF1(buffer) {
+    const mode = buffer[2];
+    const height = buffer[3];
+    const count = mode & PSF1_MODE512 ? 512 : 256;
+    const glyphData = readGlyphs(buffer, 4, count, 8, height);
+
+    const map = new Map();
+    if (mode & PSF1_MODEHASTAB) {
+        let o = 4 + count * height;
+        for (let i = 0; i < count && o + 1 < buffer.length; i++) {
+            let inSequence = false;
+            for (;;) {
+                const u = buffer.readUInt16LE(o);
+                o += 2;
+                if (u === PSF1_SEPARATOR) break;
+                if (u === PSF1_STARTSEQ) inSequence = true;
+                // комбинированные последовательности в ячейку не ложатся
+                if (!inSequence && !map.has(u)) map.set(u, glyphData[i]);
+            }
+        }
+    }
+
+    return makeFont(8, height, glyphData, map);
+}
+
+function parsePSF2(buffer) {
+    const headerSize = buffer.readUInt32LE(8);
+    const flags = buffer.readUInt32LE(12);
+    const count = buffer.readUInt32LE(16);
+    const charSize = buffer.readUInt32LE(20);
+    const height = buffer.readUInt32LE(24);
+    const width = buffer.readUInt32LE(28);
+
+    if (charSize !== rowBytes(width) * height) {
+        throw new SourceError(`PSF2: charsize ${charSize} does not match ${width}x${height}`);
+    }
+
+    const glyphData = readGlyphs(buffer, headerSize, count, width, height);
+
+    const map = new Map();
+    if (flags & PSF2_HAS_UNICODE_TABLE) {
+        let o = headerSize + count * charSize;
+        for (let i = 0; i < count && o < buffer.length; i++) {
+            const end = buffer.indexOf(PSF2_SEPARATOR, o);
+            const entry = buffer.subarray(o, end < 0 ? buffer.length : end);
+            o = end < 0 ? buffer.length : end + 1;
+
+            // до первого 0xFE — одиночные символы в UTF-8
+            const seq = entry.indexOf(PSF2_STARTSEQ);
+            const text = entry.subarray(0, seq < 0 ? entry.length : seq).toString('utf8');
+            for (const ch of text) {
+                const u = ch.codePointAt(0);
+                if (!map.has(u)) map.set(u, glyphData[i]);
+            }
+        }
+    }
+
+    return makeFont(width, height, glyphData, map);
+}
+
+function readGlyphs(buffer, offset, count, width, height) {
+    const size = rowBytes(width) * height;
+    const glyphs = [];
+
+    if (offset + count * size > buffer.length) {
+        throw new SourceError('PSF: file is truncated');
+    }
+
+    for (let i = 0; i < count; i++) {
+        const start = offset + i * size;
+        glyphs.push({
+            bytes: [...buffer.subarray(start, start + size)],
+            width,
+            height,
+            left: 0,
+            top: height,
+            advance: width,
+        });
+    }
+
+    return glyphs;
+}
+
+/**
+ * В PSF нет базовой линии: глиф занимает всю ячейку, ascent = высота
+ */
+function makeFont(width, height, glyphData, unicodeMap) {
+    const unicode = unicodeMap.size > 0;
+    const glyphs = unicode ? unicodeMap : new Map(glyphData.map((g, i) => [i, g]));
+
+    return { width, height, ascent: height, descent: 0, unicode, glyphs };
+}
+
+module.exports = {
+    parsePSF,
+};
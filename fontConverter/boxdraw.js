@@ -0,0 +1,217 @@
+// boxdraw.js
+// Процедурная псевдографика (U+2500–U+259F) под любой размер ячейки.
+// Линии всегда доходят до краёв ячейки по одним и тем же координатам,
+// поэтому соседние символы стыкуются без разрывов.
+
+const { createGlyph, setPixel } = require('./utils/bitmap');
+
+// Лучи из центра: u/r/d/l, 1 — одинарная линия, 2 — двойная
+const BOX = {
+    0x2500: { l: 1, r: 1 }, // ─
+    0x2502: { u: 1, d: 1 }, // │
+    0x250c: { r: 1, d: 1 }, // ┌
+    0x2510: { l: 1, d: 1 }, // ┐
+    0x2514: { u: 1, r: 1 }, // └
+    0x2518: { u: 1, l: 1 }, // ┘
+    0x251c: { u: 1, d: 1, r: 1 }, // ├
+    0x2524: { u: 1, d: 1, l: 1 }, // ┤
+    0x252c: { l: 1, r: 1, d: 1 }, // ┬
+    0x2534: { l: 1, r: 1, u: 1 }, // ┴
+    0x253c: { u: 1, d: 1, l: 1, r: 1 }, // ┼
+
+    0x2550: { l: 2, r: 2 }, // ═
+    0x2551: { u: 2, d: 2 }, // ║
+    0x2552: { d: 1, r: 2 }, // ╒
+    0x2553: { d: 2, r: 1 }, // ╓
+    0x2554: { d: 2, r: 2 }, // ╔
+    0x2555: { d: 1, l: 2 }, // ╕
+    0x2556: { d: 2, l: 1 }, // ╖
+    0x2557: { d: 2, l: 2 }, // ╗
+    0x2558: { u: 1, r: 2 }, // ╘
+    0x2559: { u: 2, r: 1 }, // ╙
+    0x255a: { u: 2, r: 2 }, // ╚
+    0x255b: { u: 1, l: 2 }, // ╛
+    0x255c: { u: 2, l: 1 }, // ╜
+    0x255d: { u: 2, l: 2 }, // ╝
+    0x255e: { u: 1, d: 1, r: 2 }, // ╞
+    0x255f: { u: 2, d: 2, r: 1 }, // ╟
+    0x2560: { u: 2, d: 2, r: 2 }, // ╠
+    0x2561: { u: 1, d: 1, l: 2 }, // ╡
+    0x2562: { u: 2, d: 2, l: 1 }, // ╢
+    0x2563: { u: 2, d: 2, l: 2 }, // ╣
+    0x2564: { l: 2, r: 2, d: 1 }, // ╤
+    0x2565: { l: 1, r: 1, d: 2 }, // ╥
+    0x2566: { l: 2, r: 2, d: 2 }, // ╦
+    0x2567: { l: 2, r: 2, u: 1 }, // ╧
+    0x2568: { l: 1, r: 1, u: 2 }, // ╨
+    0x2569: { l: 2, r: 2, u: 2 }, // ╩
+    0x256a: { u: 1, d: 1, l: 2, r: 2 }, // ╪
+    0x256b: { u: 2, d: 2, l: 1, r: 1 }, // ╫
+    0x256c: { u: 2, d: 2, l: 2, r: 2 }, // ╬
+
+    0x256d: { r: 1, d: 1 }, // ╭
+    0x256e: { l: 1, d: 1 }, // ╮
+    0x256f: { u: 1, l: 1 }, // ╯
+    0x2570: { u: 1, r: 1 }, // ╰
+    0x2574: { l: 1 }, // ╴
+    0x2575: { u: 1 }, // ╵
+    0x2576: { r: 1 }, // ╶
+    0x2577: { d: 1 }, // ╷
+};
+
+// Четверти ▖▗▘▙▚▛▜▝▞▟: биты UL, UR, LL, LR
+const QUADRANTS = {
+    0x2596: 0b0010,
+    0x2597: 0b0001,
+    0x2598: 0b1000,
+    0x2599: 0b1011,
+    0x259a: 0b1001,
+    0x259b: 0b1110,
+    0x259c: 0b1101,
+    0x259d: 0b0100,
+    0x259e: 0b0110,
+    0x259f: 0b0111,
+};
+
+/**
+ * Синтезирует глиф псевдографики width x height
+ * Возвращает null, если символ не относится к псевдографике
+ */
+function synthGlyph(unicode, width, height) {
+    const glyph = createGlyph(width, height);
+    const set = (x, y) => setPixel(glyph, width, x, y);
+
+    if (BOX[unicode]) {
+        const arms = BOX[unicode];
+        drawVerticalArms(width, height, arms, set);
+        // горизонтальные лучи — те же вертикальные в транспонированной ячейке
+        drawVerticalArms(height, width, { u: arms.l, d: arms.r, l: arms.u, r: arms.d }, (x, y) =>
+            set(y, x)
+        );
+        return glyph;
+    }
+
+    const fill = blockFill(unicode, width, height);
+    if (!fill) return null;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (fill(x, y)) set(x, y);
+        }
+    }
+    return glyph;
+}
+
+/**
+ * Рисует лучи u/d. Одинарная линия идёт по центру, двойная — две линии
+ * с зазором в толщину штриха. Длина каждой линии зависит от соседних лучей,
+ * чтобы углы и пересечения двойных линий замыкались правильно.
+ */
+function drawVerticalArms(W, H, arms, set) {
+    const s = strokeWidth(W, H);
+
+    const cx = Math.floor((W - s) / 2);
+    const xa = Math.floor((W - 3 * s) / 2);
+    const xb = xa + 2 * s;
+
+    const cy = Math.floor((H - s) / 2);
+    const ya = Math.floor((H - 3 * s) / 2);
+    const yb = ya + 2 * s;
+
+    const l = arms.l | 0;
+    const r = arms.r | 0;
+
+    for (const dir of ['u', 'd']) {
+        const weight = arms[dir] | 0;
+        if (!weight) continue;
+
+        const other = arms[dir === 'u' ? 'd' : 'u'] | 0;
+        const near = dir === 'u' ? ya : yb;
+        const far = dir === 'u' ? yb : ya;
+        const full = dir === 'u' ? H - s : 0;
+
+        const tracks = [];
+
+        if (weight === 1) {
+            let to = cy;
+            if (other) to = full;
+            else if (l === 1 || r === 1) to = cy;
+            else if (l === 2 && r === 2) to = near;
+            else if (l === 2 || r === 2) to = far;
+            tracks.push({ x: cx, to });
+        } else {
+            for (const [x, side, opposite] of [
+                [xa, l, r],
+                [xb, r, l],
+            ]) {
+                let to = cy;
+                if (side === 2) to = near;
+                else if (side === 1) to = cy;
+                else if (other === 2) to = full;
+                else if (opposite === 2) to = far;
+                tracks.push({ x, to });
+            }
+        }
+
+        for (const { x, to } of tracks) {
+            const y0 = dir === 'u' ? 0 : to;
+            const y1 = dir === 'u' ? to + s : H;
+            for (let y = y0; y < y1; y++) {
+                for (let i = 0; i < s; i++) set(x + i, y);
+            }
+        }
+    }
+}
+
+/**
+ * Толщина штриха: 1 px до 16 px по ширине / 32 px по высоте, дальше растёт
+ */
+function strokeWidth(W, H) {
+    return Math.max(1, Math.floor(Math.min(W, H / 2) / 8));
+}
+
+/**
+ * Заливки ░▒▓ и блоки ▀▄█▌▐, восьмые доли, четверти
+ */
+function blockFill(u, W, H) {
+    const halfX = Math.round(W / 2);
+    const halfY = Math.round(H / 2);
+
+    if (u === 0x2591) return (x, y) => (y % 2 === 0 ? x % 4 === 0 : x % 4 === 2);
+    if (u === 0x2592) return (x, y) => (x + y) % 2 === 0;
+    if (u === 0x2593) return (x, y) => !(y % 2 === 0 ? x % 4 === 0 : x % 4 === 2);
+
+    if (u === 0x2580) return (x, y) => y < halfY;
+    if (u === 0x2588) return () => true;
+    if (u === 0x2590) return (x) => x >= halfX;
+    if (u === 0x2594) return (x, y) => y < Math.max(1, Math.round(H / 8));
+    if (u === 0x2595) return (x) => x >= W - Math.max(1, Math.round(W / 8));
+
+    // ▁▂▃▄▅▆▇ — нижние n/8
+    if (u >= 0x2581 && u <= 0x2587) {
+        const n = u - 0x2580;
+        const rows = n === 4 ? H - halfY : Math.max(1, Math.round((H * n) / 8));
+        return (x, y) => y >= H - rows;
+    }
+
+    // ▉▊▋▌▍▎▏ — левые n/8
+    if (u >= 0x2589 && u <= 0x258f) {
+        const n = 0x2590 - u;
+        const cols = n === 4 ? halfX : Math.max(1, Math.round((W * n) / 8));
+        return (x) => x < cols;
+    }
+
+    if (QUADRANTS[u] !== undefined) {
+        const q = QUADRANTS[u];
+        return (x, y) => {
+            const bit = (y < halfY ? 0 : 2) + (x < halfX ? 0 : 1);
+            return (q >> (3 - bit)) & 1;
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    synthGlyph,
+};
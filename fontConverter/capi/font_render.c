@@ -0,0 +1,190 @@
+// font_render.c — see font_render.h
+
+#include "font_render.h"
+
+#define FONT_REPLACEMENT 0xFFFDu
+
+// Next code point of a UTF-8 string; malformed bytes decode to U+FFFD
+static uint32_t utf8_next(const char **text)
+{
+  const uint8_t *s = (const uint8_t *)*text;
+  uint32_t code = *s++;
+  int extra = 0;
+
+  if (code >= 0xF8) {
+    code = FONT_REPLACEMENT;
+  } else if (code >= 0xF0) {
+    code &= 0x07;
+    extra = 3;
+  } else if (code >= 0xE0) {
+    code &= 0x0F;
+    extra = 2;
+  } else if (code >= 0xC0) {
+    code &= 0x1F;
+    extra = 1;
+  } else if (code >= 0x80) {
+    code = FONT_REPLACEMENT;
+  }
+
+  while (extra--) {
+    if ((*s & 0xC0) != 0x80) {
+      code = FONT_REPLACEMENT;
+      break;
+    }
+    code = (code << 6) | (*s++ & 0x3F);
+  }
+
+  *text = (const char *)s;
+  return code;
+}
+
+int font_find_glyph(const font_t *font, uint32_t code)
+{
+  int lo = 0;
+  int hi;
+
+  if (font->codes || font->codes32) {
+    hi = font->count - 1;
+    while (lo <= hi) {
+      int mid = (lo + hi) / 2;
+      uint32_t c = font->codes ? font->codes[mid] : font->codes32[mid];
+      if (c == code) return mid;
+      if (c < code) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return -1;
+  }
+
+  if (font->map) {
+    hi = font->map_count - 1;
+    while (lo <= hi) {
+      int mid = (lo + hi) / 2;
+      uint32_t c = font->map[mid].unicode;
+      if (c == code) return font->map[mid].slot;
+      if (c < code) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return -1;
+  }
+
+  return code < font->count ? (int)code : -1;
+}
+
+// Pixel level of a stored glyph, in the layout the header was written with
+static uint8_t glyph_pixel(const font_t *font, const uint8_t *bits, int width, int x, int y)
+{
+  uint8_t mask = (uint8_t)((1u << font->bpp) - 1);
+  uint32_t bit;
+  uint8_t byte;
+
+  if (font->flags & FONT_PROPORTIONAL) {
+    bit = ((uint32_t)y * width + x) * font->bpp;
+    return (bits[bit >> 3] >> (8 - font->bpp - (bit & 7))) & mask;
+  }
+
+  if (font->flags & FONT_COLUMN_MAJOR) {
+    byte = bits[(y >> 3) * width + x];
+    return (byte >> ((font->flags & FONT_LSB_FIRST) ? (y & 7) : 7 - (y & 7))) & 1;
+  }
+
+  bit = (uint32_t)x * font->bpp;
+  byte = bits[y * ((width * font->bpp + 7) >> 3) + (bit >> 3)];
+  if (font->flags & FONT_LSB_FIRST) return (byte >> (bit & 7)) & 1;
+  return (byte >> (8 - font->bpp - (bit & 7))) & mask;
+}
+
+int font_draw_glyph(const font_t *font, int x, int y, int index,
+                    font_set_pixel_fn set_pixel, void *ctx)
+{
+  const uint8_t *bits;
+  int width, height, gx, gy;
+
+  if (index < 0 || index >= font->count) return 0;
+
+  if (font->flags & FONT_PROPORTIONAL) {
+    const font2header_glyph_t *g = &font->glyphs[index];
+    bits = font->bitmap + g->offset;
+    width = g->width;
+    height = g->height;
+    x += g->xOffset;
+    y += font->baseline + g->yOffset;
+
+    for (gy = 0; gy < height; gy++) {
+      for (gx = 0; gx < width; gx++) {
+        uint8_t level = glyph_pixel(font, bits, width, gx, gy);
+        if (level) set_pixel(x + gx, y + gy, level, ctx);
+      }
+    }
+    return g->advance;
+  }
+
+  bits = font->bitmap + (size_t)index * font->glyph_size;
+  width = font->width;
+  height = font->height;
+
+  for (gy = 0; gy < height; gy++) {
+    for (gx = 0; gx < width; gx++) {
+      uint8_t level = glyph_pixel(font, bits, width, gx, gy);
+      if (level) set_pixel(x + gx, y + gy, level, ctx);
+    }
+  }
+  return width;
+}
+
+static int glyph_for(const font_t *font, uint32_t code)
+{
+  int index = font_find_glyph(font, code);
+  return index >= 0 ? index : font_find_glyph(font, '?');
+}
+
+static int glyph_advance(const font_t *font, int index)
+{
+  if (!(font->flags & FONT_PROPORTIONAL)) return font->width;
+  return index >= 0 ? font->glyphs[index].advance : 0;
+}
+
+int font_draw_char(const font_t *font, int x, int y, uint32_t code,
+                   font_set_pixel_fn set_pixel, void *ctx)
+{
+  int index = glyph_for(font, code);
+
+  if (index < 0) return glyph_advance(font, index);
+  return font_draw_glyph(font, x, y, index, set_pixel, ctx);
+}
+
+// Draws (set_pixel != NULL) or measures a string
+static int layout_string(const font_t *font, int x, int y, const char *text,
+                         font_set_pixel_fn set_pixel, void *ctx)
+{
+  int pen = 0;
+  int widest = 0;
+
+  while (*text) {
+    uint32_t code = utf8_next(&text);
+    int index;
+
+    if (code == '\n') {
+      pen = 0;
+      y += font->height;
+      continue;
+    }
+
+    index = glyph_for(font, code);
+    if (set_pixel && index >= 0) font_draw_glyph(font, x + pen, y, index, set_pixel, ctx);
+    pen += glyph_advance(font, index);
+    if (pen > widest) widest = pen;
+  }
+
+  return widest;
+}
+
+int font_draw_string(const font_t *font, int x, int y, const char *text,
+                     font_set_pixel_fn set_pixel, void *ctx)
+{
+  return layout_string(font, x, y, text, set_pixel, ctx);
+}
+
+int font_text_width(const font_t *font, const char *text)
+{
+  return layout_string(font, 0, 0, text, NULL, NULL);
+}
@@ -0,0 +1,94 @@
+// font_render.h — text rendering for fonts generated by font2header
+//
+// Portable C99, no allocation, no libc beyond <stdint.h>/<stddef.h>.
+// Pixels go to a user-supplied callback, so the same code draws into a
+// framebuffer, a display driver or a test buffer.
+//
+// Usage:
+//   #include "myfont_font.h"          // generated next to myfont.h
+//   font_draw_string(&myfont_font, 0, 0, "Привет", put_pixel, &screen);
+//
+// Build font_render.c once; include each *_font.h in exactly one .c file
+// (the glyph data is static const).
+
+#ifndef FONT_RENDER_H_
+#define FONT_RENDER_H_
+
+#include <stddef.h>
+#include <stdint.h>
+
+#ifdef __cplusplus
+extern "C" {
+#endif
+
+#ifndef FONT2HEADER_GLYPH_T
+#define FONT2HEADER_GLYPH_T
+// Same field order as GFXglyph; bitmap bits are packed MSB first,
+// continuous across rows, each glyph starts on a byte boundary
+typedef struct {
+  uint16_t offset;  // index into the bitmap array
+  uint8_t width;    // bitmap size in pixels
+  uint8_t height;
+  uint8_t advance;  // pen advance
+  int8_t xOffset;   // from the pen position on the baseline to the bitmap corner
+  int8_t yOffset;
+} font2header_glyph_t;
+#endif
+
+// font_t.flags
+#define FONT_PROPORTIONAL 0x01  // glyphs[] + continuous bitmap stream
+#define FONT_COLUMN_MAJOR 0x02  // 8-pixel column pages (SSD1306 style)
+#define FONT_LSB_FIRST 0x04     // first pixel in bit 0
+
+// One code page slot: Unicode code point → glyph index
+typedef struct {
+  uint16_t unicode;
+  uint8_t slot;
+} font_map_t;
+
+typedef struct {
+  uint8_t width;       // cell width; 0 for proportional fonts
+  uint8_t height;      // cell or line height
+  uint8_t baseline;    // baseline row of a proportional line
+  uint8_t bpp;         // 1, 2, 4 or 8
+  uint8_t flags;       // FONT_*
+  uint16_t glyph_size; // bytes per fixed-width glyph
+  uint16_t count;      // number of glyphs
+  const uint8_t *bitmap;
+  const font2header_glyph_t *glyphs;  // proportional fonts, else NULL
+  const uint16_t *codes;    // --range/--chars: sorted code points, else NULL
+  const uint32_t *codes32;  // same, for sets beyond U+FFFF
+  const font_map_t *map;    // code page: sorted by unicode, else NULL
+  uint16_t map_count;
+} font_t;
+
+// Called for every lit pixel; level is 1 for 1 bpp fonts,
+// 1..(1 << bpp) - 1 for gray levels. Unlit pixels are not reported.
+typedef void (*font_set_pixel_fn)(int x, int y, uint8_t level, void *ctx);
+
+// Glyph index for a Unicode code point, or -1
+int font_find_glyph(const font_t *font, uint32_t code);
+
+// Draws glyph by index with its cell (or line) top-left corner at x, y.
+// Returns the pen advance.
+int font_draw_glyph(const font_t *font, int x, int y, int index,
+                    font_set_pixel_fn set_pixel, void *ctx);
+
+// Draws a Unicode code point; missing characters are drawn as '?'.
+// Returns the pen advance.
+int font_draw_char(const font_t *font, int x, int y, uint32_t code,
+                   font_set_pixel_fn set_pixel, void *ctx);
+
+// Draws a UTF-8 string; '\n' starts a new line font->height below.
+// Returns the width of the widest line.
+int font_draw_string(const font_t *font, int x, int y, const char *text,
+                     font_set_pixel_fn set_pixel, void *ctx);
+
+// Width of the widest line of a UTF-8 string, without drawing
+int font_text_width(const font_t *font, const char *text);
+
+#ifdef __cplusplus
+}
+#endif
+
+#endif // FONT_RENDER_H_
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+const { makeIncludeGuard, makeSymbolName } = require('../utils/headerWriter');
+const { rowBytes } = require('../utils/bitmap');
+const { makeLayout, glyphBytes } = require('../utils/layout');
+const { runHostProgram } = require('../utils/hostCompiler');
+const { OptionError } = require('../errors');
+
+// Companion C API для header формата raw:
+// font_render.h/.c (рисование через callback set_pixel, UTF-8 через кодовую страницу)
+// копируются рядом с header, а <name>_font.h описывает шрифт структурой font_t.
+
+const RUNTIME = ['font_render.h', 'font_render.c'];
+
+/**
+ * Unicode → слот кодовой страницы, по возрастанию кода
+ * Повторы берутся по первому слоту, пустые слоты (код 0 не в слоте 0) пропускаются
+ */
+function codePageMap(table) {
+    const map = new Map();
+
+    table.forEach((unicode, slot) => {
+        if (unicode > 0xffff || (!unicode && slot) || map.has(unicode)) return;
+        map.set(unicode, slot);
+    });
+
+    return [...map.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+function hex(value, digits) {
+    return value.toString(16).padStart(digits, '0');
+}
+
+/**
+ * Код Unicode каждого глифа (null — глиф недоступен по коду)
+ */
+function glyphUnicodes(glyphSet) {
+    if (glyphSet.charset) return glyphSet.charset;
+
+    const owners = new Map(codePageMap(glyphSet.encoding.table));
+    return glyphSet.encoding.table.map((u, slot) => (owners.get(u) === slot ? u : null));
+}
+
+/**
+ * Пишет font_render.h/.c и <name>_font.h рядом с header
+ *
+ * @param {string} outPath - путь к header, уже записанному writer raw
+ * @param {object} glyphSet - набор глифов из buildGlyphSet / cellGlyphSet
+ * @param {object} options.layout - раскладка header (без поворота)
+ *
+ * Возвращает путь к <name>_font.h
+ */
+function writeRenderModule(outPath, glyphSet, { layout = makeLayout() } = {}) {
+    const { width, height, baseline, bpp = 1, charset, proportional } = glyphSet;
+
+    if (layout.rotate) {
+        throw new OptionError('C API draws text left to right, rotated glyphs are not supported');
+    }
+
+    const dir = path.dirname(outPath);
+    const base = path.basename(outPath, '.h');
+    const name = makeSymbolName(outPath);
+    const fontPath = path.join(dir, `${base}_font.h`);
+    const guard = makeIncludeGuard(fontPath);
+    const count = charset ? charset.length : 256;
+
+    for (const file of RUNTIME) {
+        fs.copyFileSync(path.join(__dirname, file), path.join(dir, file));
+    }
+
+    // раскладка есть только у моноширинных 1 bpp
+    const packed = !proportional && bpp === 1;
+    const flags = [];
+    if (proportional) flags.push('FONT_PROPORTIONAL');
+    if (packed && layout.layout === 'column-major') flags.push('FONT_COLUMN_MAJOR');
+    if (packed && layout.bitOrder === 'lsb') flags.push('FONT_LSB_FIRST');
+
+    let glyphSize = 0;
+    if (!proportional) {
+        glyphSize = bpp > 1 ? rowBytes(width, bpp) * height : glyphBytes(width, height, layout);
+    }
+
+    const wide = charset && charset[charset.length - 1] > 0xffff;
+    const map = charset ? null : codePageMap(glyphSet.encoding.table);
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `#include "font_render.h"\n`;
+    out += `#include "${base}.h"\n\n`;
+
+    out += `// Generated by font2header\n`;
+
+    if (map) {
+        out += `// Unicode -> ${glyphSet.encoding.name} slot, sorted for binary search\n`;
+        out += `static const font_map_t ${name}_map[${map.length}] = {\n`;
+        for (let i = 0; i < map.length; i += 6) {
+            const row = map
+                .slice(i, i + 6)
+                .map(([u, slot]) => `{0x${hex(u, 4)}, 0x${hex(slot, 2)}}`);
+            out += `  ${row.join(', ')},\n`;
+        }
+        out += `};\n\n`;
+    }
+
+    const fields = [
+        [proportional ? 0 : width, 'width'],
+        [height, 'height'],
+        [proportional ? baseline : 0, 'baseline'],
+        [bpp, 'bpp'],
+        [flags.join(' | ') || '0', 'flags'],
+        [glyphSize, 'glyph_size'],
+        [count, 'count'],
+        [proportional ? `${name}_bitmaps` : `&${name}[0][0]`, 'bitmap'],
+        [proportional ? `${name}_glyphs` : 'NULL', 'glyphs'],
+        [charset && !wide ? `${name}_codes` : 'NULL', 'codes'],
+        [wide ? `${name}_codes` : 'NULL', 'codes32'],
+        [map ? `${name}_map` : 'NULL', 'map'],
+        [map ? map.length : 0, 'map_count'],
+    ];
+
+    out += `static const font_t ${name}_font = {\n`;
+    for (const [value, field] of fields) {
+        out += `  ${`${value},`.padEnd(24)} // ${field}\n`;
+    }
+    out += `};\n\n`;
+
+    out += `#endif // ${guard}\n`;
+
+    fs.writeFileSync(fontPath, out, 'utf8');
+    console.log('C API written to', fontPath, `(+ ${RUNTIME.join(', ')})`);
+
+    return fontPath;
+}
+
+/**
+ * Строковый литерал C с байтами UTF-8
+ */
+function cString(text) {
+    const hex = [...Buffer.from(text, 'utf8')].map((b) => `\\x${b.toString(16).padStart(2, '0')}`);
+    return `"${hex.join('')}"`;
+}
+
+/**
+ * Программа для gcc: рисует каждый глиф в свою ячейку листа 16 x N, как превью,
+ * строкой UTF-8 (глиф без своего кода — по номеру), пишет лист в stdout
+ * и font_text_width всех этих строк подряд — в stderr
+ */
+function makeHarness(fontPath, glyphSet, cellW, cellH) {
+    const name = makeSymbolName(path.basename(fontPath, '_font.h'));
+    const unicodes = glyphUnicodes(glyphSet);
+    const count = unicodes.length;
+    const rows = Math.ceil(count / 16);
+
+    // 0 завершает строку, \n переводит её
+    const texts = unicodes.map((u) => (u && u !== 0x0a ? cString(String.fromCodePoint(u)) : 'NULL'));
+
+    let out = '';
+    out += `#include <stdio.h>\n`;
+    out += `#include <string.h>\n`;
+    out += `#include "${path.basename(fontPath)}"\n\n`;
+    out += `#define CELL_W ${cellW}\n`;
+    out += `#define CELL_H ${cellH}\n`;
+    out += `#define SHEET_W (16 * CELL_W)\n`;
+    out += `#define SHEET_H (${rows} * CELL_H)\n\n`;
+    out += `static uint8_t sheet[SHEET_H][SHEET_W];\n`;
+    out += `static char all[${count * 4 + 1}];\n\n`;
+    out += `static const char *const texts[${count}] = {\n`;
+    for (const text of texts) out += `  ${text},\n`;
+    out += `};\n\n`;
+    out += `typedef struct { int x0, y0; } cell_t;\n\n`;
+    out += `static void put(int x, int y, uint8_t level, void *ctx)\n{\n`;
+    out += `  const cell_t *c = (const cell_t *)ctx;\n`;
+    out += `  if (x < c->x0 || y < c->y0 || x >= c->x0 + CELL_W || y >= c->y0 + CELL_H) return;\n`;
+    out += `  sheet[y][x] = level;\n`;
+    out += `}\n\n`;
+    out += `int main(void)\n{\n`;
+    out += `  const font_t *font = &${name}_font;\n`;
+    out += `  int i;\n\n`;
+    out += `  for (i = 0; i < font->count; i++) {\n`;
+    out += `    cell_t c;\n`;
+    out += `    c.x0 = (i % 16) * CELL_W;\n`;
+    out += `    c.y0 = (i / 16) * CELL_H;\n`;
+    out += `    if (texts[i]) {\n`;
+    out += `      font_draw_string(font, c.x0, c.y0, texts[i], put, &c);\n`;
+    out += `      strcat(all, texts[i]);\n`;
+    out += `    } else {\n`;
+    out += `      font_draw_glyph(font, c.x0, c.y0, i, put, &c);\n`;
+    out += `    }\n`;
+    out += `  }\n\n`;
+    out += `  if (fwrite(sheet, 1, sizeof sheet, stdout) != sizeof sheet) return 2;\n`;
+    out += `  fprintf(stderr, "%d\\n", font_text_width(font, all));\n`;
+    out += `  return 0;\n`;
+    out += `}\n`;
+
+    return out;
+}
+
+/**
+ * Уровни пикселей PNG-превью без масштаба: 0..2^bpp - 1 по альфе (глифы чёрные на прозрачном)
+ */
+async function readPreview(pngPath, scale, bpp) {
+    const image = await loadImage(pngPath);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+
+    const { data } = ctx.getImageData(0, 0, image.width, image.height);
+    const width = image.width / scale;
+    const height = image.height / scale;
+    const max = (1 << bpp) - 1;
+    const levels = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const alpha = data[(y * scale * image.width + x * scale) * 4 + 3];
+            levels[y * width + x] = Math.round((alpha * max) / 255);
+        }
+    }
+
+    return { width, height, levels };
+}
+
+/**
+ * Собирает C API с хостовым gcc и сравнивает то, что он рисует, с PNG-превью
+ *
+ * @param {string} fontPath - <name>_font.h из writeRenderModule
+ * @param {string} pngPath  - превью convertToPNG того же шрифта
+ * @param {object} glyphSet
+ * @param {number} options.scale - масштаб превью
+ *
+ * Возвращает { pixels, mismatches: [{ glyph, x, y, expected, actual }], width, expectedWidth }
+ */
+async function checkRenderModule(fontPath, pngPath, glyphSet, { scale = 1 } = {}) {
+    const { bpp = 1 } = glyphSet;
+    const count = glyphUnicodes(glyphSet).length;
+    const preview = await readPreview(pngPath, scale, bpp);
+    const cellW = preview.width / 16;
+    const cellH = preview.height / Math.ceil(count / 16);
+
+    const dir = path.dirname(fontPath);
+    const harness = makeHarness(fontPath, glyphSet, cellW, cellH);
+    const { stdout: sheet, stderr } = runHostProgram(harness, {
+        includeDirs: [dir],
+        sources: [path.join(dir, 'font_render.c')],
+    });
+
+    const mismatches = [];
+
+    for (let i = 0; i < sheet.length; i++) {
+        if (sheet[i] === preview.levels[i]) continue;
+
+        const x = i % preview.width;
+        const y = Math.floor(i / preview.width);
+        const glyph = Math.floor(y / cellH) * 16 + Math.floor(x / cellW);
+
+        mismatches.push({
+            glyph,
+            x: x % cellW,
+            y: y % cellH,
+            expected: preview.levels[i],
+            actual: sheet[i],
+        });
+    }
+
+    // все глифы с кодом подряд: сумма advance (у моноширинного — ширина ячейки)
+    let expectedWidth = 0;
+    glyphUnicodes(glyphSet).forEach((u, i) => {
+        if (!u || u === 0x0a) return;
+        expectedWidth += glyphSet.proportional ? glyphSet.glyphs[i].advance : cellW;
+    });
+
+    return {
+        pixels: sheet.length,
+        mismatches,
+        width: Number(stderr.trim()),
+        expectedWidth,
+    };
+}
+
+module.exports = {
+    writeRenderModule,
+    checkRenderModule,
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { OptionError } = require('./errors');
+
+// Набор символов вместо 256 слотов кодовой страницы:
+// диапазоны Unicode (--range) и/или текстовый файл с нужными символами (--chars)
+
+const MAX_CODE = 0x10ffff;
+
+/**
+ * Код символа: 0x410, U+0410, 1040
+ */
+function parseCodePoint(token, spec) {
+    const t = token.trim();
+    let value = NaN;
+
+    if (/^(0x|u\+)[0-9a-f]+$/i.test(t)) value = parseInt(t.slice(2), 16);
+    else if (/^\d+$/.test(t)) value = parseInt(t, 10);
+
+    if (!Number.isInteger(value) || value > MAX_CODE) {
+        throw new OptionError(`Invalid code point "${token}" in range "${spec}"`);
+    }
+    return value;
+}
+
+/**
+ * "0x20-0x7E,0x400-0x44F,U+2500" → отсортированный список кодов без повторов
+ */
+function parseRanges(spec) {
+    const codes = new Set();
+
+    for (const part of String(spec).split(',')) {
+        if (!part.trim()) continue;
+
+        const [from, to = from, extra] = part.split('-');
+        if (extra !== undefined) {
+            throw new OptionError(`Invalid range "${part}" in "${spec}"`);
+        }
+
+        const start = parseCodePoint(from, spec);
+        const end = parseCodePoint(to, spec);
+        if (end < start) {
+            throw new OptionError(`Range "${part}" is reversed`);
+        }
+
+        for (let c = start; c <= end; c++) codes.add(c);
+    }
+
+    return [...codes].sort((a, b) => a - b);
+}
+
+/**
+ * Все символы текстового файла (UTF-8), кроме управляющих
+ */
+function loadCharFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const codes = new Set();
+
+    for (const ch of text) {
+        const c = ch.codePointAt(0);
+        if (c < 0x20 || c === 0x7f || c === 0xfeff) continue;
+        codes.add(c);
+    }
+
+    return [...codes].sort((a, b) => a - b);
+}
+
+/**
+ * Объединяет --range и --chars; null — ни то ни другое не задано
+ */
+function loadCharset({ range, chars } = {}) {
+    if (!range && !chars) return null;
+
+    const codes = new Set([
+        ...(range ? parseRanges(range) : []),
+        ...(chars ? loadCharFile(chars) : []),
+    ]);
+
+    if (!codes.size) {
+        throw new OptionError('Character set is empty');
+    }
+
+    return [...codes].sort((a, b) => a - b);
+}
+
+module.exports = {
+    parseRanges,
+    loadCharFile,
+    loadCharset,
+};
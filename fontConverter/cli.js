@@ -1,36 +1,39 @@
 #!/usr/bin/env node
 
-const path = require('path');
-const { convertToHeader, convertToPNG } = require('./converter');
-const args = require('minimist')(process.argv.slice(2));
+const { resolveJob, runJob } = require('./job');
+const { runManifest } = require('./manifest');
+const { runDiff } = require('./diff');
+const args = require('minimist')(process.argv.slice(2), {
+    boolean: [
+        'synth-boxdraw',
+        'clip-warnings',
+        'proportional',
+        'c-api',
+        'check-c-api',
+        'compress',
+        'check-compress',
+        'specimen',
+    ],
+    // цвета и текст образца — строки как есть ("--bg 000000" не должно стать числом)
+    string: ['fg', 'bg', 'sample', 'png'],
+    default: { 'clip-warnings': true },
+});
 
-let font = args.font;
-let out = args.out;
-const width = Number(args.width || 8);
-const scale = Number(args.scale || 1);
-
-if (!font || !width) {
-    console.error('Usage: --font --out --width(4..8)');
-    process.exit(1);
-}
-
-if (!out) {
-    out = path.parse(font).name;
-} else {
-    out = path.parse(out).name;
-}
-
-if (width < 4 || width > 8) {
-    console.error('Width must be between 4 and 8');
-    process.exit(1);
-}
-
-if (scale < 1 || scale > 8) {
-    console.error('Scale must be 1-8');
-    process.exit(1);
-}
+const command = args._[0];
 
 (async function() {
-    await convertToPNG(font, out + '.png', width, scale);
-    await convertToHeader(font, out + '.h', width);
-})()
+    try {
+        if (command === 'diff') {
+            // diff old new — 1 при различиях, как у diff(1)
+            if (!(await runDiff(args))) process.exitCode = 1;
+            return;
+        }
+
+        // --config fonts.json — много шрифтов за один запуск
+        const ok = args.config ? await runManifest(args.config) : await runJob(resolveJob(args));
+        if (!ok) process.exitCode = 1;
+    } catch (e) {
+        console.error(e.message);
+        process.exit(command === 'diff' ? 2 : 1);
+    }
+})();
@@ -1,48 +1,380 @@
 const fs = require('fs');
-const freetype = require('freetype2');
+const path = require('path');
 const { createCanvas } = require('canvas');
-const cp866 = require('./cp866');
+const { loadEncoding } = require('./encodings');
+const { openFont } = require('./fontSource');
 // const pseudo = require('./pseudographics');
+const { synthGlyph } = require('./boxdraw');
+const { applyTransforms } = require('./transforms');
 const { drawBitmap } = require('./rasterize');
-const { writeHeader } = require('./utils/headerWriter');
+const { renderSpecimen } = require('./specimen');
+const { readSheet } = require('./pngSheet');
+const { getWriter } = require('./writers');
+const { writeRenderModule, checkRenderModule } = require('./capi');
+const { createGlyph, getPixel, setPixel, convertDepth, trimGlyph } = require('./utils/bitmap');
+const { makeLayout, applyLayout, unpackGlyph } = require('./utils/layout');
 
-async function convertToPNG(fontPath, outPath, width, scale) {
-    const face = freetype.NewFace(fontPath);
+/**
+ * Строка базовой линии по умолчанию: ascent/descent шрифта
+ * вписываются в высоту ячейки
+ */
+function defaultBaseline(font, cellH) {
+    const total = font.ascent + font.descent;
 
-    const cellH = 8;
-    const cellW = width;
-    face.setPixelSizes(cellW, cellH);
+    if (total <= 0) return cellH;
+    return Math.round((cellH * font.ascent) / total);
+}
+
+/**
+ * Переносит глиф шрифта в ячейку cellW x cellH
+ * Глиф ставится по метрикам: top от базовой линии, left
+ * (align = 'left') либо по центру ячейки (align = 'center').
+ * Возвращает { cell, clip }, clip — сколько пикселей вылезло за каждый край
+ */
+function renderCell(font, unicode, cellW, cellH, { baseline, align = 'left', bpp = 1 }) {
+    const cell = createGlyph(cellW, cellH, bpp);
+    const g = font.glyph(unicode);
+
+    if (!g || !g.width || !g.height) return { cell, clip: null };
+
+    const ox = align === 'center' ? Math.floor((cellW - g.width) / 2) : g.left;
+    const oy = baseline - g.top;
+
+    let lost = 0;
+
+    for (let y = 0; y < g.height; y++) {
+        for (let x = 0; x < g.width; x++) {
+            const level = getPixel(g.bytes, g.width, x, y, bpp);
+            if (!level) continue;
+
+            const cx = ox + x;
+            const cy = oy + y;
+            if (cx < 0 || cy < 0 || cx >= cellW || cy >= cellH) {
+                lost++;
+                continue;
+            }
+            setPixel(cell, cellW, cx, cy, level, bpp);
+        }
+    }
+
+    const clip = lost
+        ? {
+              left: Math.max(0, -ox),
+              right: Math.max(0, ox + g.width - cellW),
+              top: Math.max(0, -oy),
+              bottom: Math.max(0, oy + g.height - cellH),
+              pixels: lost,
+          }
+        : null;
+
+    return { cell, clip };
+}
+
+/**
+ * Коды Unicode по порядку глифов: набор --range/--chars
+ * либо 256 слотов кодовой страницы
+ */
+function glyphCodes({ charset, encoding }) {
+    return charset || encoding.table;
+}
+
+/**
+ * Растеризует 256 слотов кодовой страницы (или символы options.charset)
+ * Каждый слот грузится по своему коду Unicode из таблицы
+ * synthBoxdraw — псевдографика рисуется процедурно поверх того, что есть в шрифте
+ * transforms — преобразования ячеек по порядку (см. transforms.js)
+ *
+ * Возвращает { glyphs, clipped }, clipped — список вылезших за ячейку глифов
+ */
+function loadGlyphs(fontPath, options) {
+    const { width, height, encoding, synthBoxdraw = false, align = 'left', bpp = 1 } = options;
+
+    const font = openFont(fontPath, { width, height, encoding, bpp });
+    const baseline = options.baseline ?? defaultBaseline(font, height);
+
+    const unicodes = glyphCodes(options);
+    const glyphs = [];
+    const clipped = [];
+
+    for (let code = 0; code < unicodes.length; code++) {
+        const unicode = unicodes[code];
+        const synth = synthBoxdraw ? synthGlyph(unicode, width, height) : null;
+
+        if (synth) {
+            glyphs.push(convertDepth(synth, width, height, 1, bpp));
+            continue;
+        }
+
+        const { cell, clip } = renderCell(font, unicode, width, height, { baseline, align, bpp });
+        glyphs.push(cell);
+
+        if (clip) clipped.push({ code, unicode, ...clip });
+    }
+
+    const geometry = { width, height, bpp, baseline };
+
+    return { glyphs: applyTransforms(glyphs, options.transforms, geometry), clipped, baseline };
+}
+
+/**
+ * Пропорциональный глиф: bitmap шрифта без ячейки,
+ * пустые столбцы/строки по краям срезаны.
+ * Возвращает { bytes, width, height, xOffset, yOffset, advance },
+ * xOffset/yOffset — от точки пера на базовой линии (yOffset < 0 — вверх)
+ */
+function renderProportional(font, unicode, bpp = 1) {
+    const empty = { bytes: [], width: 0, height: 0, xOffset: 0, yOffset: 0, advance: 0 };
+    const g = font.glyph(unicode);
+
+    if (!g) return empty;
+
+    const t = trimGlyph(g.bytes, g.width, g.height, bpp);
+
+    if (!t.width) return { ...empty, advance: g.advance };
+
+    return {
+        bytes: t.bytes,
+        width: t.width,
+        height: t.height,
+        xOffset: g.left + t.left,
+        yOffset: -g.top + t.top,
+        advance: g.advance,
+    };
+}
+
+/**
+ * Пропорциональный набор из 256 слотов (или символов options.charset)
+ * Возвращает { glyphs, baseline }; глифы — записи renderProportional()
+ */
+function loadProportionalGlyphs(fontPath, options) {
+    const { width, height, encoding, synthBoxdraw = false, bpp = 1 } = options;
+
+    const font = openFont(fontPath, { width, height, encoding, bpp });
+    const baseline = options.baseline ?? defaultBaseline(font, height);
+
+    const unicodes = glyphCodes(options);
+    const glyphs = [];
+
+    for (let code = 0; code < unicodes.length; code++) {
+        const unicode = unicodes[code];
+        const synth = synthBoxdraw ? synthGlyph(unicode, width, height) : null;
+
+        if (!synth) {
+            glyphs.push(renderProportional(font, unicode, bpp));
+            continue;
+        }
+
+        // псевдографика занимает всю ячейку, чтобы стыковаться с соседями
+        const cell = convertDepth(synth, width, height, 1, bpp);
+        glyphs.push(cellToGlyph(cell, width, height, baseline, bpp));
+    }
+
+    return { glyphs, baseline };
+}
+
+/**
+ * Ячейка моноширинного шрифта → запись пропорционального глифа
+ * (bitmap обрезан, advance = ширина ячейки)
+ */
+function cellToGlyph(cell, width, height, baseline, bpp = 1) {
+    const t = trimGlyph(cell, width, height, bpp);
+
+    return {
+        bytes: t.bytes,
+        width: t.width,
+        height: t.height,
+        xOffset: t.width ? t.left : 0,
+        yOffset: t.width ? t.top - baseline : 0,
+        advance: width,
+    };
+}
+
+/**
+ * Набор глифов, общий для всех форматов вывода
+ *
+ * cells   — 256 ячеек width x height (null в пропорциональном режиме)
+ * glyphs  — 256 записей { bytes, width, height, xOffset, yOffset, advance }
+ * bpp     — глубина bitmap в cells и glyphs
+ * charset — отсортированные коды Unicode, если глифы идут по --range/--chars
+ *           (тогда cells/glyphs по одному на код), иначе null и слоты encoding
+ */
+function buildGlyphSet(fontPath, options) {
+    const { width, height, encoding, bpp = 1, charset = null } = options;
+
+    if (options.proportional) {
+        const { glyphs, baseline } = loadProportionalGlyphs(fontPath, options);
+
+        return {
+            width,
+            height,
+            baseline,
+            encoding,
+            bpp,
+            charset,
+            proportional: true,
+            cells: null,
+            glyphs,
+            clipped: [],
+        };
+    }
+
+    const { glyphs: cells, clipped, baseline } = loadGlyphs(fontPath, options);
+
+    return cellGlyphSet(cells, { width, height, baseline, encoding, bpp, charset, clipped });
+}
+
+/**
+ * Набор глифов из готовых ячеек (шрифт, PNG-лист)
+ */
+function cellGlyphSet(cells, options) {
+    const { width, height, baseline, encoding, bpp = 1, charset = null, clipped = [] } = options;
+
+    return {
+        width,
+        height,
+        baseline,
+        encoding,
+        bpp,
+        charset,
+        proportional: false,
+        cells,
+        glyphs: cells.map((c) => cellToGlyph(c, width, height, baseline, bpp)),
+        clipped,
+    };
+}
+
+/**
+ * Базовая линия ячеек без метрик шрифта: самая частая нижняя граница
+ * цифр и заглавных латинских букв, иначе низ ячейки
+ */
+function guessBaseline(cells, width, height, encoding, bpp = 1) {
+    const votes = new Map();
+
+    encoding.table.forEach((unicode, code) => {
+        const isDigit = unicode >= 0x30 && unicode <= 0x39;
+        const isUpper = unicode >= 0x41 && unicode <= 0x5a;
+        if (!isDigit && !isUpper) return;
+
+        const t = trimGlyph(cells[code], width, height, bpp);
+        if (!t.width) return;
+
+        const bottom = t.top + t.height;
+        votes.set(bottom, (votes.get(bottom) || 0) + 1);
+    });
+
+    let baseline = height;
+    let best = 0;
+    for (const [row, count] of votes) {
+        if (count > best) {
+            best = count;
+            baseline = row;
+        }
+    }
+    return baseline;
+}
+
+/**
+ * Отчёт о глифах, не влезших в ячейку
+ */
+function formatClipReport(clipped, { width, height, baseline, charset }) {
+    let out = `Cell ${width}x${height}, baseline row ${baseline}\n`;
+    out += `${clipped.length} glyph(s) overflow the cell\n`;
+
+    for (const c of clipped) {
+        // у набора --range/--chars слотов нет, только Unicode
+        const slot = charset ? '' : `0x${c.code.toString(16).padStart(2, '0').toUpperCase()} `;
+        const u = `U+${c.unicode.toString(16).padStart(4, '0').toUpperCase()}`;
+        const sides = ['left', 'right', 'top', 'bottom']
+            .filter((k) => c[k])
+            .map((k) => `${k} ${c[k]}px`)
+            .join(', ');
+
+        const label = String.fromCodePoint(c.unicode);
+
+        out += `  ${slot}${u} (${label}): ${sides}, ${c.pixels} pixel(s) lost\n`;
+    }
+
+    return out;
+}
+
+/**
+ * Ставит пропорциональный глиф в ячейку превью по базовой линии
+ */
+function placeProportional(g, cellW, cellH, baseline, bpp = 1) {
+    const cell = createGlyph(cellW, cellH, bpp);
+
+    for (let y = 0; y < g.height; y++) {
+        for (let x = 0; x < g.width; x++) {
+            const cx = g.xOffset + x;
+            const cy = baseline + g.yOffset + y;
+
+            if (cx < 0 || cy < 0 || cx >= cellW || cy >= cellH) continue;
+            setPixel(cell, cellW, cx, cy, getPixel(g.bytes, g.width, x, y, bpp), bpp);
+        }
+    }
+
+    return cell;
+}
+
+/**
+ * Ячейки превью: { cells, cellW, cellH }
+ * 1 bpp — из тех же упакованных байт, что уходят в header (с учётом layout),
+ * пропорциональные глифы ставятся по базовой линии в ячейку самого широкого
+ */
+function sheetCells(glyphSet, layout = makeLayout()) {
+    const { width, height, baseline, bpp = 1 } = glyphSet;
+
+    if (glyphSet.proportional) {
+        const { glyphs } = glyphSet;
+
+        // ячейка превью вмещает самый широкий глиф
+        const cellW = Math.max(
+            width,
+            ...glyphs.map((g) => Math.max(g.advance, g.xOffset + g.width))
+        );
+        const cells = glyphs.map((g) => placeProportional(g, cellW, height, baseline, bpp));
+
+        return { cells, cellW, cellH: height };
+    }
+
+    if (bpp > 1) {
+        // градации серого пишутся построчно, раскладка к ним не применяется
+        return { cells: glyphSet.cells, cellW: width, cellH: height };
+    }
+
+    const packed = applyLayout(glyphSet.cells, width, height, layout);
+    const cellW = packed.width;
+    const cellH = packed.height;
+
+    return { cells: packed.data.map((p) => unpackGlyph(p, cellW, cellH, layout)), cellW, cellH };
+}
+
+/**
+ * PNG-лист набора глифов: 16 столбцов, строк — сколько нужно (256 слотов — 16)
+ * Масштаб — только визуальный, без сглаживания.
+ *
+ * Возвращает Buffer с PNG
+ */
+function renderSheet(glyphSet, { layout = makeLayout(), scale = 1 } = {}) {
+    const { bpp = 1 } = glyphSet;
+    const { cells, cellW, cellH } = sheetCells(glyphSet, layout);
 
     const srcW = 16 * cellW;
-    const srcH = 16 * cellH;
+    const srcH = Math.ceil(cells.length / 16) * cellH;
     const srcCanvas = createCanvas(srcW, srcH);
     const srcCtx = srcCanvas.getContext('2d');
 
     srcCtx.clearRect(0, 0, srcW, srcH);
     srcCtx.fillStyle = 'black';
 
-    for (let code = 0; code < 256; code++) {
+    for (let code = 0; code < cells.length; code++) {
         const x = (code % 16) * cellW;
         const y = Math.floor(code / 16) * cellH;
 
-        let bitmap;
-
-        const unicode = cp866[code] || 0x20;
-        const glyph = face.loadChar(code, {
-            render: true,
-            loadTarget: freetype.RenderMode.MONO,
-        });
-        const bm = glyph.bitmap;
-        bitmap = [...bm.buffer];
-
-        drawBitmap(srcCtx, x, y, bitmap, width);
+        drawBitmap(srcCtx, x, y, cells[code], cellW, cellH, bpp);
     }
 
-    // масштабирование PNG (ТОЛЬКО ВИЗУАЛЬНО)
-    if (scale === 1) {
-        fs.writeFileSync(outPath, srcCanvas.toBuffer('image/png'));
-        return;
-    }
+    if (scale === 1) return srcCanvas.toBuffer('image/png');
 
     const dstCanvas = createCanvas(srcW * scale, srcH * scale);
     const dstCtx = dstCanvas.getContext('2d');
@@ -50,36 +382,203 @@ async function convertToPNG(fontPath, outPath, width, scale) {
     dstCtx.imageSmoothingEnabled = false;
     dstCtx.drawImage(srcCanvas, 0, 0, srcW, srcH, 0, 0, dstCanvas.width, dstCanvas.height);
 
-    fs.writeFileSync(outPath, dstCanvas.toBuffer('image/png'));
+    return dstCanvas.toBuffer('image/png');
+}
+
+async function convertToPNG(fontPath, outPath, options = {}) {
+    const {
+        width = 8,
+        height = 8,
+        scale = 1,
+        encoding = loadEncoding(),
+        layout = makeLayout(),
+    } = options;
+
+    const glyphSet = buildGlyphSet(fontPath, { ...options, width, height, encoding });
+
+    fs.writeFileSync(outPath, renderSheet(glyphSet, { layout, scale }));
     console.log(`PNG preview written to ${outPath} (scale ${scale}x)`);
+
+    if (options.specimen) writeSpecimen(outPath, glyphSet, { ...options.specimen, scale });
 }
 
-async function convertToHeader(fontPath, outPath, width) {
-    const face = freetype.NewFace(fontPath);
-    let result = [];
+/**
+ * Образец шрифта рядом с превью или header: name.png → name_specimen.png
+ * Глифы рисуются как задуманы, без раскладки и поворота header
+ */
+function writeSpecimen(outPath, glyphSet, options) {
+    const specimenPath = outPath.replace(/(\.[a-z]+)?$/i, '_specimen.png');
+
+    fs.writeFileSync(specimenPath, renderSpecimen(glyphSet, sheetCells(glyphSet), options));
+    console.log('Specimen written to', specimenPath);
+}
 
-    const cellH = 8;
-    const cellW = width;
-    face.setPixelSizes(cellW, cellH);
+async function convertToHeader(fontPath, outPath, options = {}) {
+    const {
+        width = 8,
+        height = 8,
+        encoding = loadEncoding(),
+        layout = makeLayout(),
+        format = 'raw',
+        clipWarnings = true,
+        bpp = 1,
+    } = options;
 
-    for (let code = 0; code < 256; code++) {
-        let bitmap;
+    const writer = getWriter(format, {
+        bpp,
+        charset: Boolean(options.charset),
+        target: options.target,
+    });
+    const glyphSet = buildGlyphSet(fontPath, { ...options, width, height, encoding });
 
-        const unicode = cp866[code] || 0x20;
-        const glyph = face.loadChar(code, {
-            render: true,
-            loadTarget: freetype.RenderMode.MONO,
-        });
-        const bm = glyph.bitmap;
-        bitmap = [...bm.buffer];
+    writeHeaderFile(outPath, writer, glyphSet, { layout, compress: options.compress });
 
-        result.push(bitmap);
+    const { clipped, baseline, charset } = glyphSet;
+    let ok = true;
+
+    if (options.checkCompress) {
+        ok = checkCompressed(writer, outPath, glyphSet, layout);
+    }
+
+    if (options.cApi) {
+        const fontPath = writeRenderModule(outPath, glyphSet, { layout });
+
+        if (options.checkCApi) {
+            ok = await checkCApi(fontPath, options.checkCApi, glyphSet, options.scale);
+        }
     }
 
-    writeHeader(outPath, result);
+    if (clipped.length) {
+        const report = formatClipReport(clipped, { width, height, baseline, charset });
+
+        if (options.clipReport) {
+            fs.writeFileSync(options.clipReport, report, 'utf8');
+            console.log('Clip report written to', options.clipReport);
+        }
+        if (clipWarnings) {
+            console.warn(report.trimEnd());
+        }
+    }
+
+    return ok;
+}
+
+/**
+ * Пишет header формата writer (или файл цели --target); при сжатии печатает его степень
+ */
+function writeHeaderFile(outPath, writer, glyphSet, { layout, compress }) {
+    const fileName = path.basename(outPath);
+
+    fs.writeFileSync(outPath, writer.render(glyphSet, { fileName, layout, compress }), 'utf8');
+    console.log(`${writer.label || 'Header'} written to`, outPath);
+
+    if (compress) console.log(writer.compressionSummary(glyphSet, { layout }));
+}
+
+/**
+ * Сверка распаковщика сжатого header (gcc) с исходными глифами; false — есть расхождения
+ */
+function checkCompressed(writer, outPath, glyphSet, layout) {
+    let failed;
+    try {
+        failed = writer.checkDecoder(outPath, glyphSet, { layout });
+    } catch (e) {
+        console.error(`Decoder check: ${e.message}`);
+        return false;
+    }
+
+    if (failed.length) {
+        const more = failed.length > 10 ? ` and ${failed.length - 10} more` : '';
+        console.error(`Decoder check failed: glyphs ${failed.slice(0, 10).join(', ')}${more}`);
+        return false;
+    }
+
+    console.log(`Decoder check passed: ${glyphSet.cells.length} glyphs decode to the original bytes`);
+    return true;
+}
+
+/**
+ * Сверка C API с PNG-превью; печатает результат, false — есть расхождения
+ */
+async function checkCApi(fontPath, pngPath, glyphSet, scale = 1) {
+    let result;
+    try {
+        result = await checkRenderModule(fontPath, pngPath, glyphSet, { scale });
+    } catch (e) {
+        console.error(`C API check: ${e.message}`);
+        return false;
+    }
+
+    const { mismatches } = result;
+
+    if (result.width !== result.expectedWidth) {
+        console.error(`font_text_width: ${result.width}, expected ${result.expectedWidth}`);
+    }
+
+    for (const m of mismatches.slice(0, 10)) {
+        console.error(
+            `Glyph ${m.glyph} pixel ${m.x},${m.y}: C API drew ${m.actual}, preview has ${m.expected}`
+        );
+    }
+    if (mismatches.length > 10) {
+        console.error(`... ${mismatches.length - 10} more`);
+    }
+
+    if (mismatches.length || result.width !== result.expectedWidth) {
+        console.error(`C API check failed: ${mismatches.length} of ${result.pixels} pixels differ`);
+        return false;
+    }
+
+    console.log(`C API check passed: ${result.pixels} pixels match ${pngPath}`);
+    return true;
+}
+
+/**
+ * Обратный путь: отредактированный PNG-лист → header
+ * Размер ячейки и масштаб определяются по картинке (или берутся из options)
+ */
+async function convertFromPNG(pngPath, outPath, options = {}) {
+    const { layout = makeLayout(), format = 'raw', bpp = 1 } = options;
+
+    const writer = getWriter(format, { bpp, target: options.target });
+    const { glyphSet, scale } = await readGlyphSheet(pngPath, options);
+
+    console.log(`Sheet ${pngPath}: ${glyphSet.width}x${glyphSet.height} cells, scale ${scale}x`);
+
+    writeHeaderFile(outPath, writer, glyphSet, { layout, compress: options.compress });
+
+    if (options.cApi) writeRenderModule(outPath, glyphSet, { layout });
+
+    if (options.specimen) {
+        writeSpecimen(outPath, glyphSet, { ...options.specimen, scale });
+    }
+}
+
+/**
+ * Набор глифов из PNG-листа; базовая линия, если не задана, угадывается по цифрам и буквам
+ * Возвращает { glyphSet, scale }, scale — найденный масштаб листа
+ */
+async function readGlyphSheet(pngPath, options = {}) {
+    const { encoding = loadEncoding(), bpp = 1 } = options;
+
+    const sheet = await readSheet(pngPath, options);
+    const { width, height } = sheet;
+    const baseline = options.baseline ?? guessBaseline(sheet.cells, width, height, encoding, bpp);
+    const geometry = { width, height, bpp, baseline };
+    const cells = applyTransforms(sheet.cells, options.transforms, geometry);
+
+    return {
+        glyphSet: cellGlyphSet(cells, { width, height, baseline, encoding, bpp }),
+        scale: sheet.scale,
+    };
 }
 
 module.exports = {
+    buildGlyphSet,
+    readGlyphSheet,
+    sheetCells,
+    renderSheet,
+    convertFromPNG,
     convertToHeader,
     convertToPNG,
 };
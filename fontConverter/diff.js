@@ -0,0 +1,341 @@
+const fs = require('fs');
+const { createCanvas } = require('canvas');
+const { buildGlyphSet, readGlyphSheet, sheetCells } = require('./converter');
+const { resolveJob } = require('./job');
+const { loadEncoding } = require('./encodings');
+const { loadBitmapFont } = require('./bitmapFonts');
+const { getPixel } = require('./utils/bitmap');
+const { formatChar } = require('./utils/printChar');
+const { OptionError } = require('./errors');
+
+// fontConverter/cli.js diff old.h new.h [--png diff.png] — какие глифы изменились между
+// двумя конвертациями. Каждая сторона — шрифт (TTF/OTF, BDF/PCF/PSF, header font2header)
+// или PNG-лист; параметры растеризации (--width, --encoding, --bpp, --range, ...) общие.
+// Код выхода: 0 — глифы совпадают, 1 — есть различия, 2 — ошибка.
+
+const DIFF_USAGE =
+    'Usage: diff <old> <new> (font, header or PNG sheet) [--png(diff.png)] [--scale(1..8)] ' +
+    '[--max(glyphs to draw)] + --width --height --encoding --bpp --range ... for fonts';
+
+// сколько изменённых глифов рисовать в терминале, остальные — списком
+const MAX_RENDERS = 16;
+
+function hex(value, digits) {
+    return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * Кодировка из комментария header, если она встроенная; иначе undefined
+ */
+function headerEncoding(source) {
+    try {
+        const font = loadBitmapFont(source);
+        if (!font || font.format !== 'header') return undefined;
+
+        loadEncoding(font.encoding);
+        return font.encoding;
+    } catch (e) {
+        // нечитаемый файл resolveJob() опишет сам, чужая .json — по умолчанию
+        return undefined;
+    }
+}
+
+/**
+ * Набор глифов одной стороны: PNG-лист читается как --from-png, остальное — как --font
+ * Header без --encoding сравнивается в своей кодировке, а не перекодируется в cp866
+ */
+async function loadSide(source, args) {
+    // --scale относится к diff.png, масштаб листа определяется по картинке
+    const { scale, ...rest } = args;
+    const sheet = /\.png$/i.test(source);
+
+    if (!sheet && !rest.encoding) rest.encoding = headerEncoding(source);
+
+    const job = resolveJob({ ...rest, [sheet ? 'from-png' : 'font']: source });
+
+    if (sheet) return (await readGlyphSheet(source, job.options)).glyphSet;
+    return buildGlyphSet(source, job.options);
+}
+
+/**
+ * Глифы набора по ключам сравнения: номер слота или (byUnicode) код Unicode
+ * Ячейки — как у превью, пропорциональные глифы стоят в них по базовой линии
+ */
+function glyphEntries(glyphSet, byUnicode) {
+    const { cells, cellW, cellH } = sheetCells(glyphSet);
+    const unicodes = glyphSet.charset || glyphSet.encoding.table;
+    const entries = new Map();
+
+    cells.forEach((cell, i) => {
+        const key = byUnicode ? unicodes[i] : i;
+        if (entries.has(key)) return;
+
+        entries.set(key, {
+            cell,
+            unicode: unicodes[i],
+            advance: glyphSet.proportional ? glyphSet.glyphs[i].advance : null,
+        });
+    });
+
+    return { entries, cellW, cellH, bpp: glyphSet.bpp };
+}
+
+/**
+ * Уровень пикселя 0..255 (глубины сторон могут различаться); за ячейкой — 0
+ */
+function levelAt(side, entry, x, y) {
+    if (!entry || x >= side.cellW || y >= side.cellH) return 0;
+
+    const max = (1 << side.bpp) - 1;
+    return Math.round((getPixel(entry.cell, side.cellW, x, y, side.bpp) * 255) / max);
+}
+
+/**
+ * Сравнивает два набора глифов
+ * Слоты кодовой страницы сравниваются по номеру; если хоть у одной стороны
+ * набор --range/--chars — по кодам Unicode.
+ *
+ * Возвращает { notes, width, height, left, right, glyphs, same }:
+ * notes — различия параметров (размер ячейки, глубина, кодировка),
+ * glyphs — все ключи по порядку: { key, unicode, slot, left, right, pixels, advance, changed },
+ * same — глифы совпадают, и ячейка с глубиной тоже (иначе header всё равно другой)
+ */
+function diffGlyphSets(a, b) {
+    const byUnicode = Boolean(a.charset || b.charset);
+    const left = glyphEntries(a, byUnicode);
+    const right = glyphEntries(b, byUnicode);
+    const width = Math.max(left.cellW, right.cellW);
+    const height = Math.max(left.cellH, right.cellH);
+
+    const sameCell = left.cellW === right.cellW && left.cellH === right.cellH;
+    const notes = [];
+    if (!sameCell) {
+        notes.push(`Cell ${left.cellW}x${left.cellH} -> ${right.cellW}x${right.cellH}`);
+    }
+    if (a.bpp !== b.bpp) {
+        notes.push(`Depth ${a.bpp} bpp -> ${b.bpp} bpp`);
+    }
+    if (!byUnicode && a.encoding.name !== b.encoding.name) {
+        notes.push(`Encoding ${a.encoding.name} -> ${b.encoding.name}, slots compared by number`);
+    }
+
+    const keys = [...new Set([...left.entries.keys(), ...right.entries.keys()])];
+    keys.sort((x, y) => x - y);
+
+    const glyphs = keys.map((key) => {
+        const l = left.entries.get(key);
+        const r = right.entries.get(key);
+
+        let pixels = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (levelAt(left, l, x, y) !== levelAt(right, r, x, y)) pixels++;
+            }
+        }
+
+        const advance = l && r && l.advance !== r.advance ? [l.advance, r.advance] : null;
+
+        return {
+            key,
+            unicode: (l || r).unicode,
+            slot: byUnicode ? null : key,
+            left: l || null,
+            right: r || null,
+            pixels,
+            advance,
+            changed: !l || !r || pixels > 0 || Boolean(advance),
+        };
+    });
+
+    const same = sameCell && a.bpp === b.bpp && glyphs.every((g) => !g.changed);
+
+    return { notes, width, height, left, right, glyphs, same };
+}
+
+/**
+ * "0x41 U+0041 (A)"; у сравнения по Unicode — без слота
+ */
+function glyphLabel(g) {
+    const u = g.unicode;
+    const printable = u >= 0x20 && u !== 0x7f && !(u >= 0x80 && u < 0xa0);
+    const label = printable ? String.fromCodePoint(u) : '';
+    const slot = g.slot === null ? '' : `0x${hex(g.slot, 2)} `;
+
+    return `${slot}U+${hex(u, 4)} (${label})`;
+}
+
+function describeChange(g, [oldName, newName]) {
+    if (!g.right) return `only in ${oldName}`;
+    if (!g.left) return `only in ${newName}`;
+
+    const parts = [];
+    if (g.pixels) parts.push(`${g.pixels} pixel(s) differ`);
+    if (g.advance) parts.push(`advance ${g.advance[0]} -> ${g.advance[1]}`);
+    return parts.join(', ');
+}
+
+/**
+ * Рисунок глифов рядом: старый, новый и разница,
+ * в разнице '+' — пиксель появился, '-' — пропал, '~' — сменился уровень
+ */
+function sideBySide(g, diff) {
+    const { left, right, width, height } = diff;
+    const columnW = Math.max(2 * width - 1, 4);
+
+    const panel = (side, entry) =>
+        entry ? formatChar(entry.cell, side.cellW, side.bpp, side.cellH) : [];
+
+    const marks = [];
+    for (let y = 0; y < height; y++) {
+        let line = '';
+        for (let x = 0; x < width; x++) {
+            const a = levelAt(left, g.left, x, y);
+            const b = levelAt(right, g.right, x, y);
+
+            if (a === b) line += a ? '█' : '.';
+            else if (!a) line += '+';
+            else if (!b) line += '-';
+            else line += '~';
+        }
+        marks.push(line.split('').join(' '));
+    }
+
+    const columns = [panel(left, g.left), panel(right, g.right), marks];
+    const rows = [['old', 'new', 'diff'].map((h) => h.padEnd(columnW))];
+    for (let y = 0; y < height; y++) {
+        rows.push(columns.map((c) => (c[y] || '').padEnd(columnW)));
+    }
+
+    return rows.map((r) => `  ${r.join('   ')}`.trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Текстовый отчёт: различия параметров, рисунки первых max изменённых глифов,
+ * остальные — списком, в конце итог
+ */
+function formatDiff(diff, names, max = MAX_RENDERS) {
+    const changed = diff.glyphs.filter((g) => g.changed);
+    let out = '';
+
+    for (const note of diff.notes) out += `${note}\n`;
+
+    for (const g of changed.slice(0, max)) {
+        out += `\n${glyphLabel(g)}: ${describeChange(g, names)}\n`;
+        out += sideBySide(g, diff);
+    }
+
+    if (changed.length > max) {
+        const rest = changed.slice(max).map(glyphLabel);
+        out += `\n... and ${rest.length} more: ${rest.join(', ')}\n`;
+    }
+
+    out += `\n${changed.length} of ${diff.glyphs.length} glyph(s) differ\n`;
+    return out;
+}
+
+/**
+ * PNG с подсветкой: все глифы по 16 в ряд, изменённые — на жёлтом фоне;
+ * совпавшие пиксели чёрные, появившиеся — зелёные, пропавшие — красные,
+ * со сменой уровня — оранжевые
+ */
+function renderDiff(diff, { scale = 4 } = {}) {
+    const { left, right, width, height, glyphs } = diff;
+    const PAD = 2;
+    const boxW = width * scale + 2 * PAD;
+    const boxH = height * scale + 2 * PAD;
+    const rows = Math.ceil(glyphs.length / 16);
+
+    const canvas = createCanvas(16 * boxW + 1, rows * boxH + 1);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 1)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    glyphs.forEach((g, i) => {
+        const boxX = (i % 16) * boxW;
+        const boxY = Math.floor(i / 16) * boxH;
+
+        if (g.changed) {
+            ctx.fillStyle = 'rgba(255, 235, 59, 0.45)';
+            ctx.fillRect(boxX, boxY, boxW, boxH);
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const a = levelAt(left, g.left, x, y);
+                const b = levelAt(right, g.right, x, y);
+
+                if (a === b) {
+                    if (!a) continue;
+                    ctx.fillStyle = `rgba(0, 0, 0, ${(a / 255).toFixed(3)})`;
+                } else if (!a) {
+                    ctx.fillStyle = `rgba(0, 160, 0, ${(b / 255).toFixed(3)})`;
+                } else if (!b) {
+                    ctx.fillStyle = `rgba(220, 0, 0, ${(a / 255).toFixed(3)})`;
+                } else {
+                    ctx.fillStyle = 'rgba(255, 140, 0, 1)';
+                }
+                ctx.fillRect(boxX + PAD + x * scale, boxY + PAD + y * scale, scale, scale);
+            }
+        }
+    });
+
+    // сетка
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+    for (let c = 0; c <= 16; c++) ctx.fillRect(c * boxW, 0, 1, rows * boxH + 1);
+    for (let r = 0; r <= rows; r++) ctx.fillRect(0, r * boxH, 16 * boxW + 1, 1);
+
+    return canvas.toBuffer('image/png');
+}
+
+function describeSet(glyphSet) {
+    const { width, height, bpp, charset, encoding, proportional } = glyphSet;
+    const glyphs = charset ? `${charset.length} code points` : encoding.name;
+
+    return `${width}x${height}, ${bpp} bpp, ${glyphs}${proportional ? ', proportional' : ''}`;
+}
+
+/**
+ * Команда diff: args как у minimist, args._ = ['diff', old, new]
+ * Возвращает true, если наборы совпадают
+ */
+async function runDiff(args) {
+    const [, oldPath, newPath] = args._.map(String);
+
+    if (!oldPath || !newPath) {
+        throw new OptionError(DIFF_USAGE);
+    }
+
+    const scale = Number(args.scale || 4);
+    const max = args.max === undefined ? MAX_RENDERS : Number(args.max);
+
+    if (!Number.isInteger(scale) || scale < 1 || scale > 8) {
+        throw new OptionError('Scale must be 1-8');
+    }
+    if (!Number.isInteger(max) || max < 0) {
+        throw new OptionError('--max must be a whole number of glyphs');
+    }
+
+    const a = await loadSide(oldPath, args);
+    const b = await loadSide(newPath, args);
+    const diff = diffGlyphSets(a, b);
+
+    console.log(`--- ${oldPath} (${describeSet(a)})`);
+    console.log(`+++ ${newPath} (${describeSet(b)})`);
+    console.log(formatDiff(diff, [oldPath, newPath], max).trimEnd());
+
+    if (args.png) {
+        fs.writeFileSync(args.png, renderDiff(diff, { scale }));
+        console.log('Diff PNG written to', args.png);
+    }
+
+    return diff.same;
+}
+
+module.exports = {
+    DIFF_USAGE,
+    diffGlyphSets,
+    formatDiff,
+    renderDiff,
+    runDiff,
+};
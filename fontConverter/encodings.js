@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { OptionError } = require('./errors');
+
+// Кодовые страницы: слот 0x00..0xFF → Unicode
+const TABLES = {
+    cp866: require('./cp866'),
+    cp1251: require('./cp1251'),
+    'koi8-r': require('./koi8r'),
+    cp437: require('./cp437'),
+    'iso-8859-1': require('./iso8859_1'),
+};
+
+const ALIASES = {
+    866: 'cp866',
+    1251: 'cp1251',
+    'windows-1251': 'cp1251',
+    koi8r: 'koi8-r',
+    437: 'cp437',
+    latin1: 'iso-8859-1',
+    'iso8859-1': 'iso-8859-1',
+};
+
+/**
+ * Возвращает кодовую страницу { name, table }
+ *
+ * @param {string} nameOrPath - имя встроенной таблицы или путь к .json
+ *
+ * JSON может быть массивом из 256 кодов Unicode либо объектом
+ * { "<слот>": <код>, ... }; коды — числа или строки вида "0x0410" / "U+0410".
+ * Слоты, которых нет в объекте, остаются пустыми.
+ */
+function loadEncoding(nameOrPath = 'cp866') {
+    const key = String(nameOrPath).toLowerCase();
+    const name = ALIASES[key] || key;
+
+    if (TABLES[name]) {
+        return { name, table: TABLES[name] };
+    }
+
+    if (path.extname(key) !== '.json') {
+        throw new OptionError(
+            `Unknown encoding "${nameOrPath}" (${Object.keys(TABLES).join(', ')} or a .json file)`
+        );
+    }
+
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(nameOrPath, 'utf8'));
+    } catch (e) {
+        throw new OptionError(`Cannot read encoding ${nameOrPath}: ${e.message}`);
+    }
+    const table = new Array(256).fill(0);
+
+    if (Array.isArray(json)) {
+        if (json.length !== 256) {
+            throw new OptionError(`${nameOrPath}: mapping array must have 256 entries`);
+        }
+        json.forEach((u, slot) => (table[slot] = parseCode(u, nameOrPath)));
+    } else {
+        for (const [slot, u] of Object.entries(json)) {
+            const i = parseCode(slot, nameOrPath);
+            if (i > 0xff) {
+                throw new OptionError(`${nameOrPath}: slot ${slot} is out of range 0..255`);
+            }
+            table[i] = parseCode(u, nameOrPath);
+        }
+    }
+
+    return { name: path.basename(nameOrPath, '.json'), table };
+}
+
+function parseCode(value, source) {
+    const n =
+        typeof value === 'number' ? value : Number(String(value).replace(/^U\+/i, '0x'));
+
+    if (!Number.isInteger(n) || n < 0 || n > 0x10ffff) {
+        throw new OptionError(`${source}: invalid code "${value}"`);
+    }
+    return n;
+}
+
+module.exports = {
+    TABLES,
+    loadEncoding,
+};
@@ -0,0 +1,44 @@
+// Ошибки конвертера: по классу (или code) вызывающий код отличает
+// неверные параметры от нечитаемого шрифта и от формата, в который набор не помещается
+
+class ConverterError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Неверные параметры: размер, кодировка, диапазоны, раскладка, несовместимые опции
+ */
+class OptionError extends ConverterError {
+    constructor(message) {
+        super(message, 'ERR_OPTION');
+    }
+}
+
+/**
+ * Источник не читается: файл шрифта, BDF/PCF/PSF, header, PNG-лист
+ */
+class SourceError extends ConverterError {
+    constructor(message) {
+        super(message, 'ERR_SOURCE');
+    }
+}
+
+/**
+ * Набор глифов не помещается в формат вывода (64 KB, число глифов, размер глифа)
+ */
+class FormatError extends ConverterError {
+    constructor(message) {
+        super(message, 'ERR_FORMAT');
+    }
+}
+
+module.exports = {
+    ConverterError,
+    OptionError,
+    SourceError,
+    FormatError,
+};
@@ -0,0 +1,154 @@
+const path = require('path');
+const freetype = require('freetype2');
+const { loadBitmapFont } = require('./bitmapFonts');
+const { createGlyph, getPixel, setPixel, convertDepth } = require('./utils/bitmap');
+const { SourceError } = require('./errors');
+
+// Источник глифов для конвертера: FreeType или растровый шрифт (BDF/PCF/PSF).
+// glyph(unicode) возвращает { bytes, width, height, left, top, advance } или null:
+// left — от точки пера до левого края bitmap, top — строк над базовой линией,
+// bytes — в глубине bpp, запрошенной при открытии.
+
+/**
+ * Открывает шрифт; растровые форматы читаются напрямую, остальное — через FreeType
+ *
+ * @param {string} fontPath
+ * @param {object} options
+ * @param {number} options.width   - ширина ячейки (размер для FreeType)
+ * @param {number} options.height  - высота ячейки (размер для FreeType)
+ * @param {{table: number[]}} options.encoding - для растровых шрифтов без Unicode
+ * @param {number} [options.bpp] - 1 (MONO) или 2/4/8 (сглаживание FreeType, уровни серого)
+ */
+function openFont(fontPath, { width, height, encoding, bpp = 1 }) {
+    try {
+        const bitmapFont = loadBitmapFont(fontPath);
+
+        if (bitmapFont) {
+            return bitmapSource(bitmapFont, encoding, bpp);
+        }
+
+        return freetypeSource(fontPath, width, height, bpp);
+    } catch (e) {
+        throw new SourceError(`Cannot read ${fontPath}: ${e.message}`);
+    }
+}
+
+// открытые FreeType face по пути: превью, header и записи манифеста с тем же шрифтом
+// читают файл один раз; размер выставляется заново, если его сменил другой источник
+const faces = new Map();
+
+function sharedFace(fontPath, width, height) {
+    let shared = faces.get(fontPath);
+    if (!shared) {
+        shared = { face: freetype.NewFace(fontPath), size: null };
+        faces.set(fontPath, shared);
+    }
+
+    const size = `${width}x${height}`;
+
+    return () => {
+        if (shared.size !== size) {
+            shared.face.setPixelSizes(width, height);
+            shared.size = size;
+        }
+        return shared.face;
+    };
+}
+
+function freetypeSource(fontPath, width, height, bpp) {
+    const useFace = sharedFace(path.resolve(fontPath), width, height);
+    const { ascender, descender } = useFace().properties().size;
+
+    return {
+        format: 'freetype',
+        ascent: ascender / 64,
+        descent: -descender / 64,
+
+        glyph(unicode) {
+            const face = useFace();
+
+            // нет глифа в шрифте — пусто вместо .notdef
+            if (!face.getCharIndex(unicode)) return null;
+
+            const glyph = face.loadChar(unicode, {
+                render: true,
+                loadTarget: bpp > 1 ? freetype.RenderMode.NORMAL : freetype.RenderMode.MONO,
+            });
+            const bm = glyph.bitmap;
+            const advance = Math.round(glyph.metrics.horiAdvance / 64);
+
+            if (!bm || !bm.width || !bm.height) {
+                return { bytes: [], width: 0, height: 0, left: 0, top: 0, advance };
+            }
+
+            const pitch = Math.abs(bm.pitch);
+            const bytes = createGlyph(bm.width, bm.height, bpp);
+            const max = (1 << bpp) - 1;
+
+            for (let y = 0; y < bm.height; y++) {
+                // pitch < 0 — строки в буфере снизу вверх
+                const src = bm.pitch < 0 ? bm.height - 1 - y : y;
+                const row = bm.buffer.subarray(src * pitch, (src + 1) * pitch);
+
+                for (let x = 0; x < bm.width; x++) {
+                    if (bpp === 1) {
+                        if (getPixel(row, pitch * 8, x, 0)) setPixel(bytes, bm.width, x, y);
+                        continue;
+                    }
+
+                    // покрытие 0..255 → уровень 0..2^bpp - 1
+                    const level = Math.round((row[x] * max) / 255);
+                    if (level) setPixel(bytes, bm.width, x, y, level, bpp);
+                }
+            }
+
+            return {
+                bytes,
+                width: bm.width,
+                height: bm.height,
+                left: glyph.bitmapLeft,
+                top: glyph.bitmapTop,
+                advance,
+            };
+        },
+    };
+}
+
+/**
+ * Растровый шрифт: пиксели 1:1, без хинтинга
+ * Коды не в Unicode переводятся через встроенную кодировку шрифта,
+ * а если она неизвестна — через выбранную --encoding (номер глифа = слот).
+ * Глубина шрифта (1 bpp, у header — своя) приводится к запрошенной
+ */
+function bitmapSource(font, encoding, bpp) {
+    const fontBpp = font.bpp || 1;
+    let lookup = (unicode) => font.glyphs.get(unicode);
+
+    if (!font.unicode) {
+        const table = font.nativeTable || encoding.table;
+        const native = new Map();
+        table.forEach((u, code) => {
+            if (!native.has(u)) native.set(u, code);
+        });
+        lookup = (unicode) => (native.has(unicode) ? font.glyphs.get(native.get(unicode)) : null);
+    }
+
+    return {
+        format: font.format,
+        width: font.width,
+        height: font.height,
+        ascent: font.ascent,
+        descent: font.descent,
+
+        glyph(unicode) {
+            const g = lookup(unicode);
+            if (!g) return null;
+
+            return { ...g, bytes: convertDepth(g.bytes, g.width, g.height, fontBpp, bpp) };
+        },
+    };
+}
+
+module.exports = {
+    openFont,
+};
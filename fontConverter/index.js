@@ -0,0 +1,185 @@
+// Программный API: те же шаги, что у командной строки, но без файлов и вывода в консоль —
+// набор глифов, текст header и PNG возвращаются вызывающему.
+//
+//   const { rasterizeFont, toHeader, toPNG } = require('font2header');
+//
+//   const glyphSet = rasterizeFont('terminus.bdf', { encoding: 'cp1251', transform: 'bold' });
+//   fs.writeFileSync('terminus.h', toHeader(glyphSet, { name: 'terminus', compress: true }));
+//   fs.writeFileSync('terminus.png', toPNG(glyphSet, { scale: 4 }));
+//
+// Ошибки — классы из errors.js: OptionError (параметры), SourceError (шрифт не читается),
+// FormatError (набор не помещается в формат); у всех есть code и общий предок ConverterError.
+
+const { buildGlyphSet, sheetCells, renderSheet } = require('./converter');
+const { parseColor, renderSpecimen } = require('./specimen');
+const { resolveRasterOptions } = require('./job');
+const { makeLayout } = require('./utils/layout');
+const { getWriter } = require('./writers');
+const { ConverterError, OptionError, SourceError, FormatError } = require('./errors');
+
+// ключи — как параметры командной строки, в camelCase
+const RASTER_OPTIONS = [
+    'width',
+    'height',
+    'encoding',
+    'baseline',
+    'align',
+    'proportional',
+    'bpp',
+    'range',
+    'chars',
+    'synthBoxdraw',
+    'transform',
+];
+const LAYOUT_OPTIONS = ['layout', 'bitOrder', 'rotate'];
+const HEADER_OPTIONS = ['format', 'target', 'name', 'compress', ...LAYOUT_OPTIONS];
+const PNG_OPTIONS = ['scale', 'specimen', 'sample', 'fg', 'bg', ...LAYOUT_OPTIONS];
+
+function checkKeys(options, allowed) {
+    for (const key of Object.keys(options)) {
+        if (!allowed.includes(key)) {
+            throw new OptionError(`Unknown option "${key}" (${allowed.join(', ')})`);
+        }
+    }
+}
+
+/**
+ * Растеризует шрифт (TTF/OTF через FreeType, BDF/PCF/PSF, header font2header)
+ *
+ * @param {string} fontPath
+ * @param {object} [options]
+ * @param {number} [options.width]  - ширина ячейки 4..32 (у растровых шрифтов — родная, иначе 8)
+ * @param {number} [options.height] - высота ячейки 4..32
+ * @param {string} [options.encoding] - cp866 (по умолчанию), cp1251, koi8-r, cp437,
+ *                                      iso-8859-1 или путь к .json
+ * @param {string} [options.range]  - "0x20-0x7E,0x400-0x44F" вместо 256 слотов кодировки
+ * @param {string} [options.chars]  - путь к текстовому файлу с символами
+ * @param {number} [options.bpp]    - 1, 2, 4 или 8
+ * @param {number} [options.baseline]
+ * @param {string} [options.align]  - left | center
+ * @param {boolean} [options.proportional]
+ * @param {boolean} [options.synthBoxdraw]
+ * @param {string|string[]} [options.transform] - bold, oblique, invert, outline, mirror-h, mirror-v
+ *
+ * Возвращает набор глифов { width, height, baseline, encoding, bpp, charset,
+ * proportional, cells, glyphs, clipped } (см. buildGlyphSet в converter.js)
+ */
+function rasterizeFont(fontPath, options = {}) {
+    if (!fontPath) throw new OptionError('Font path is required');
+    checkKeys(options, RASTER_OPTIONS);
+
+    const args = { font: String(fontPath) };
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined) continue;
+        args[key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)] = value;
+    }
+
+    return buildGlyphSet(args.font, resolveRasterOptions(args));
+}
+
+/**
+ * Раскладка байт для вывода: не по умолчанию — только у raw 1 bpp фиксированной ширины
+ */
+function outputLayout(glyphSet, options, format = 'raw') {
+    const layout = makeLayout({
+        layout: options.layout,
+        bitOrder: options.bitOrder,
+        rotate: Number(options.rotate || 0),
+    });
+    const defaultLayout =
+        layout.layout === 'row-major' && layout.bitOrder === 'msb' && !layout.rotate;
+
+    if (!defaultLayout && (glyphSet.proportional || format !== 'raw' || glyphSet.bpp > 1)) {
+        throw new OptionError(
+            'layout/bitOrder/rotate apply only to the raw fixed-width 1 bpp format'
+        );
+    }
+    return layout;
+}
+
+/**
+ * Текст header для набора глифов (или файла другой цели)
+ *
+ * @param {object} glyphSet - из rasterizeFont()
+ * @param {object} [options]
+ * @param {string} [options.format]   - raw (по умолчанию), adafruit-gfx, u8g2, lvgl
+ * @param {string} [options.target]   - язык формата raw: c (по умолчанию), arduino, cpp,
+ *                                      micropython, rust; bin — Buffer вместо текста
+ * @param {string} [options.name]     - имя массивов и include guard, C-идентификатор ('font')
+ * @param {boolean} [options.compress] - RLE по глифам (raw фиксированной ширины)
+ * @param {string} [options.layout]   - row-major | column-major
+ * @param {string} [options.bitOrder] - msb | lsb
+ * @param {number} [options.rotate]   - 0, 90, 180, 270
+ */
+function toHeader(glyphSet, options = {}) {
+    checkKeys(options, HEADER_OPTIONS);
+
+    const { format = 'raw', target = 'c', name = 'font', compress = false } = options;
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new OptionError(`Name "${name}" is not a C identifier`);
+    }
+
+    const writer = getWriter(format, {
+        bpp: glyphSet.bpp,
+        charset: Boolean(glyphSet.charset),
+        target,
+    });
+    const layout = outputLayout(glyphSet, options, format);
+
+    if (compress && (format !== 'raw' || target !== 'c' || glyphSet.proportional)) {
+        throw new OptionError('compress applies to the raw fixed-width format, C target');
+    }
+
+    const fileName = `${name}${writer.extension || '.h'}`;
+    return writer.render(glyphSet, { fileName, layout, compress });
+}
+
+/**
+ * PNG-лист набора глифов, как превью командной строки,
+ * или образец шрифта с сеткой, подписями и абзацем текста (specimen)
+ *
+ * @param {object} glyphSet - из rasterizeFont()
+ * @param {object} [options]
+ * @param {number} [options.scale] - 1..8, без сглаживания
+ * @param {string} [options.layout], [options.bitOrder], [options.rotate] - как у toHeader()
+ * @param {boolean} [options.specimen] - образец вместо голого листа
+ * @param {string} [options.sample] - текст абзаца образца
+ * @param {string} [options.fg]     - цвет глифов образца, '#rgb' или '#rrggbb'
+ * @param {string} [options.bg]     - цвет фона образца или 'transparent'
+ *
+ * Возвращает Buffer
+ */
+function toPNG(glyphSet, options = {}) {
+    checkKeys(options, PNG_OPTIONS);
+
+    const scale = Number(options.scale || 1);
+
+    if (!Number.isInteger(scale) || scale < 1 || scale > 8) {
+        throw new OptionError('Scale must be 1-8');
+    }
+
+    if (options.specimen) {
+        const fg = parseColor(options.fg ?? '#000', 'fg');
+        if (!fg) throw new OptionError('fg cannot be transparent');
+
+        return renderSpecimen(glyphSet, sheetCells(glyphSet), {
+            scale,
+            sample: options.sample,
+            fg,
+            bg: parseColor(options.bg ?? '#fff', 'bg'),
+        });
+    }
+
+    return renderSheet(glyphSet, { layout: outputLayout(glyphSet, options), scale });
+}
+
+module.exports = {
+    rasterizeFont,
+    toHeader,
+    toPNG,
+    ConverterError,
+    OptionError,
+    SourceError,
+    FormatError,
+};
@@ -0,0 +1,283 @@
+const path = require('path');
+const { convertFromPNG, convertToHeader, convertToPNG } = require('./converter');
+const { loadEncoding } = require('./encodings');
+const { loadCharset } = require('./charset');
+const { parseTransforms } = require('./transforms');
+const { parseColor } = require('./specimen');
+const { loadBitmapFont } = require('./bitmapFonts');
+const { DEPTHS } = require('./utils/bitmap');
+const { makeLayout } = require('./utils/layout');
+const { getWriter, outputPath } = require('./writers');
+const { OptionError, SourceError } = require('./errors');
+
+// Одна конвертация: параметры командной строки (или запись манифеста --config
+// с теми же ключами) → проверенные options для converter.js
+
+const USAGE =
+    'Usage: --font | --from-png(sheet.png) --out --width(4..32) --height(4..32) ' +
+    '--encoding(cp866|cp1251|koi8-r|cp437|iso-8859-1|map.json) [--synth-boxdraw] ' +
+    '--baseline(row) --align(left|center) [--no-clip-warnings] --clip-report(file) ' +
+    '--layout(row-major|column-major) --bit-order(msb|lsb) --rotate(0|90|180|270) ' +
+    '[--proportional] --format(raw|adafruit-gfx|u8g2|lvgl) --bpp(1|2|4|8) ' +
+    '--target(c|arduino|cpp|bin|micropython|rust) ' +
+    '--range(0x20-0x7E,0x400-0x44F) --chars(chars.txt) [--c-api] [--check-c-api] ' +
+    '[--compress] [--check-compress] ' +
+    '--transform(bold,oblique,invert,outline,mirror-h,mirror-v) ' +
+    '[--specimen] --sample(text) --fg(#000) --bg(#fff|transparent) | --config(fonts.json)';
+
+// ключи с путями к файлам; в манифесте они считаются от его каталога
+const PATH_KEYS = ['font', 'from-png', 'chars', 'clip-report', 'out'];
+
+/**
+ * Параметры растеризации — общие для командной строки и API (index.js):
+ * размер ячейки, кодировка, набор символов, глубина, преобразования.
+ * Ошибки — OptionError/SourceError без синтаксиса командной строки
+ *
+ * @param {object} args - как у minimist: { font, width, encoding, 'synth-boxdraw', ... }
+ * @param {object} [defaults]
+ * @param {number} [defaults.size] - размер ячейки, если он не задан и у шрифта нет родного
+ *                                   (undefined — определить позже, как у --from-png)
+ *
+ * Возвращает { width, height, encoding, synthBoxdraw, align, baseline, proportional,
+ *              bpp, charset, transforms }
+ */
+function resolveRasterOptions(args, defaults = {}) {
+    const font = args.font;
+    // явный undefined не заменяется на 8: размер листа --from-png определяется по картинке
+    const size = 'size' in defaults ? defaults.size : 8;
+
+    // у растровых шрифтов (BDF/PCF/PSF, header) размер ячейки и глубина по умолчанию — родные
+    let bitmapFont = null;
+    try {
+        bitmapFont = font ? loadBitmapFont(font) : null;
+    } catch (e) {
+        throw new SourceError(`Cannot read ${font}: ${e.message}`);
+    }
+
+    const width = args.width ? Number(args.width) : bitmapFont ? bitmapFont.width : size;
+    const height = args.height ? Number(args.height) : bitmapFont ? bitmapFont.height : size;
+    const synthBoxdraw = Boolean(args['synth-boxdraw']);
+    const align = args.align || 'left';
+    const baseline = args.baseline !== undefined ? Number(args.baseline) : undefined;
+    const proportional = Boolean(args.proportional);
+    const bpp = Number(args.bpp || (bitmapFont && bitmapFont.bpp) || 1);
+
+    if (!DEPTHS.includes(bpp)) {
+        throw new OptionError(`Bpp must be one of ${DEPTHS.join(', ')}`);
+    }
+
+    if (width !== undefined && !(width >= 4 && width <= 32)) {
+        throw new OptionError('Width must be between 4 and 32');
+    }
+
+    if (height !== undefined && !(height >= 4 && height <= 32)) {
+        throw new OptionError('Height must be between 4 and 32');
+    }
+
+    if (!['left', 'center'].includes(align)) {
+        throw new OptionError('Align must be left or center');
+    }
+
+    const maxBaseline = height ?? 32;
+    if (
+        baseline !== undefined &&
+        !(Number.isInteger(baseline) && baseline >= 0 && baseline <= maxBaseline)
+    ) {
+        throw new OptionError(`Baseline must be a row between 0 and ${maxBaseline}`);
+    }
+
+    const encoding = loadEncoding(args.encoding || 'cp866');
+    const charset = loadCharset({ range: args.range, chars: args.chars });
+    const transforms = parseTransforms(args.transform);
+
+    if (transforms.length && proportional) {
+        throw new OptionError('Transforms work on fixed-width cells, not proportional glyphs');
+    }
+
+    return {
+        width,
+        height,
+        encoding,
+        synthBoxdraw,
+        align,
+        baseline,
+        proportional,
+        bpp,
+        charset,
+        transforms,
+    };
+}
+
+/**
+ * Проверяет параметры командной строки и собирает задание;
+ * ошибка — OptionError/SourceError с текстом для пользователя
+ *
+ * @param {object} args - как у minimist: { font, out, width, 'bit-order', ... }
+ * @param {object} [context]
+ * @param {string} [context.baseDir] - каталог манифеста: относительные пути считаются от него,
+ *                                     а out сохраняет свой каталог (в CLI — только имя в текущем)
+ *
+ * Возвращает { font, fromPng, out, options, scale, clipWarnings, clipReport,
+ *              checkCApi, checkCompress }; out — путь без расширения
+ */
+function resolveJob(args, { baseDir } = {}) {
+    if (baseDir) {
+        args = { ...args };
+        for (const key of PATH_KEYS) {
+            if (args[key]) args[key] = path.resolve(baseDir, String(args[key]));
+        }
+        if (/\.json$/i.test(args.encoding || '')) {
+            args.encoding = path.resolve(baseDir, args.encoding);
+        }
+    }
+
+    const font = args.font;
+    const fromPng = args['from-png'];
+
+    if (!(font || fromPng)) {
+        throw new OptionError(USAGE);
+    }
+
+    if (font && fromPng) {
+        throw new OptionError('Use either --font or --from-png');
+    }
+
+    if (fromPng && args.proportional) {
+        throw new OptionError('--from-png reads fixed-width sheets only');
+    }
+
+    if (fromPng && (args.range || args.chars)) {
+        throw new OptionError('--from-png reads 256-slot sheets, --range/--chars do not apply');
+    }
+
+    // для --from-png размер ячейки и масштаб по умолчанию определяются по листу
+    const raster = resolveRasterOptions(args, { size: fromPng ? undefined : 8 });
+    const { proportional, bpp, charset } = raster;
+
+    const scale = args.scale ? Number(args.scale) : fromPng ? undefined : 1;
+    const clipWarnings = args['clip-warnings'] !== false;
+    const clipReport = args['clip-report'];
+    const format = args.format || 'raw';
+    const target = args.target || 'c';
+    const checkCApi = Boolean(args['check-c-api']);
+    const cApi = Boolean(args['c-api']) || checkCApi;
+    const checkCompress = Boolean(args['check-compress']);
+    const compress = Boolean(args.compress) || checkCompress;
+    const specimen = Boolean(args.specimen);
+
+    const source = path.parse(args.out ? String(args.out) : font || fromPng);
+    const out = baseDir && args.out ? path.join(source.dir, source.name) : source.name;
+
+    if (scale !== undefined && (scale < 1 || scale > 8)) {
+        throw new OptionError('Scale must be 1-8');
+    }
+
+    const layout = makeLayout({
+        layout: args.layout,
+        bitOrder: args['bit-order'],
+        rotate: args.rotate || 0,
+    });
+    getWriter(format, { bpp, charset: Boolean(charset), target });
+
+    const defaultLayout =
+        layout.layout === 'row-major' && layout.bitOrder === 'msb' && !layout.rotate;
+
+    if ((proportional || format !== 'raw' || bpp > 1) && !defaultLayout) {
+        throw new OptionError(
+            '--layout/--bit-order/--rotate apply only to the raw fixed-width 1 bpp format'
+        );
+    }
+
+    if (cApi && (format !== 'raw' || target !== 'c' || layout.rotate)) {
+        throw new OptionError('--c-api needs the raw format, C target, without --rotate');
+    }
+
+    if (checkCApi && fromPng) {
+        throw new OptionError('--check-c-api compares against the preview of --font');
+    }
+
+    if (compress && (format !== 'raw' || proportional)) {
+        throw new OptionError('--compress applies to the raw fixed-width format');
+    }
+
+    if (compress && target !== 'c') {
+        throw new OptionError('--compress adds a C decoder, it applies to --target c only');
+    }
+
+    if (compress && cApi) {
+        throw new OptionError('--c-api reads uncompressed glyph arrays, drop --compress');
+    }
+
+    if (!specimen && [args.sample, args.fg, args.bg].some((v) => v !== undefined)) {
+        throw new OptionError('--sample/--fg/--bg style the --specimen sheet, add --specimen');
+    }
+
+    // в CLI "\n" в тексте образца — перевод строки
+    const sample = args.sample === undefined ? undefined : String(args.sample);
+    const specimenStyle = specimen
+        ? {
+              sample: sample && sample.replace(/\\n/g, '\n'),
+              fg: parseColor(args.fg ?? '#000', '--fg'),
+              bg: parseColor(args.bg ?? '#fff', '--bg'),
+          }
+        : null;
+
+    if (specimenStyle && !specimenStyle.fg) {
+        throw new OptionError('--fg cannot be transparent');
+    }
+
+    const options = {
+        ...raster,
+        layout,
+        format,
+        target,
+        cApi,
+        compress,
+        specimen: specimenStyle,
+    };
+
+    return {
+        font,
+        fromPng,
+        out,
+        options,
+        scale,
+        clipWarnings,
+        clipReport,
+        checkCApi,
+        checkCompress,
+    };
+}
+
+/**
+ * Выполняет задание resolveJob(): PNG-превью + header (или header из PNG-листа);
+ * при --target вместо header — файл цели со своим расширением
+ * Возвращает false, если проверка --check-c-api/--check-compress не прошла
+ */
+async function runJob(job) {
+    const { font, fromPng, out, options, scale } = job;
+    const writer = getWriter(options.format, options);
+    const outPath = outputPath(out, writer);
+
+    if (fromPng) {
+        await convertFromPNG(fromPng, outPath, { ...options, scale });
+        return true;
+    }
+
+    await convertToPNG(font, out + '.png', { ...options, scale });
+    return convertToHeader(font, outPath, {
+        ...options,
+        clipWarnings: job.clipWarnings,
+        clipReport: job.clipReport,
+        scale,
+        checkCApi: job.checkCApi ? out + '.png' : undefined,
+        checkCompress: job.checkCompress,
+    });
+}
+
+module.exports = {
+    USAGE,
+    resolveRasterOptions,
+    resolveJob,
+    runJob,
+};
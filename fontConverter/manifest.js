@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveJob, runJob } = require('./job');
+const { makeIncludeGuard, makeSymbolName } = require('./utils/headerWriter');
+const { getWriter, outputPath } = require('./writers');
+const { OptionError } = require('./errors');
+
+// Пакетный режим --config fonts.json:
+// {
+//   "defaults": { "encoding": "cp1251", "scale": 4 },
+//   "aggregate": "out/fonts.h",
+//   "fonts": [
+//     { "font": "Bm437_Portfolio_6x8.ttf", "width": 6, "height": 8, "out": "out/portfolio" },
+//     { "font": "terminus.bdf", "layout": "column-major", "out": "out/terminus_col" }
+//   ]
+// }
+// Ключи записей — те же, что у параметров командной строки (без "--"),
+// defaults подставляются в каждую запись, пути считаются от каталога манифеста.
+// Вместо объекта можно дать просто массив записей.
+
+/**
+ * Читает манифест и проверяет все записи до начала конвертации
+ *
+ * Возвращает { jobs, aggregate }: jobs — задания resolveJob(),
+ * aggregate — путь к общему header или null
+ */
+function loadManifest(manifestPath) {
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+        throw new OptionError(`Cannot read ${manifestPath}: ${e.message}`);
+    }
+
+    const manifest = Array.isArray(json) ? { fonts: json } : json;
+    const { fonts, defaults = {} } = manifest;
+
+    if (!Array.isArray(fonts) || !fonts.length) {
+        throw new OptionError(`${manifestPath}: "fonts" must be a non-empty array`);
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const outputs = new Map();
+
+    const jobs = fonts.map((entry, i) => {
+        const where = `${manifestPath}: fonts[${i}]`;
+        const args = { ...defaults, ...entry };
+
+        if (!args.font && !args['from-png']) {
+            throw new OptionError(`${where}: needs "font" or "from-png"`);
+        }
+
+        let job;
+        try {
+            job = resolveJob(args, { baseDir });
+        } catch (e) {
+            // класс ошибки сохраняется, к тексту добавляется запись манифеста
+            e.message = `${where}: ${e.message}`;
+            throw e;
+        }
+
+        // без "out" имя берётся от шрифта и кладётся рядом с манифестом
+        if (!args.out) job.out = path.join(baseDir, job.out);
+
+        if (outputs.has(job.out)) {
+            throw new OptionError(
+                `${where}: same output as fonts[${outputs.get(job.out)}] (${job.out})`
+            );
+        }
+        outputs.set(job.out, i);
+
+        return job;
+    });
+
+    const aggregate = manifest.aggregate ? path.resolve(baseDir, manifest.aggregate) : null;
+
+    // в одном файле массивы разных шрифтов не должны совпадать по имени
+    if (aggregate) {
+        const names = new Map();
+        jobs.forEach((job, i) => {
+            if (!/\.h(pp)?$/.test(jobHeader(job))) {
+                throw new OptionError(
+                    `${manifestPath}: fonts[${i}] --target ${job.options.target} ` +
+                        `is not a C/C++ header, it cannot go into the aggregate header`
+                );
+            }
+
+            // 8x8-font и 8x8_font дают один и тот же символ C
+            const name = makeSymbolName(`${job.out}.h`);
+            if (names.has(name)) {
+                throw new OptionError(
+                    `${manifestPath}: fonts[${i}] and fonts[${names.get(name)}] both define ` +
+                        `"${name}", rename one "out" for the aggregate header`
+                );
+            }
+            names.set(name, i);
+        });
+    }
+
+    return { jobs, aggregate };
+}
+
+/**
+ * Header задания для #include: файл цели или, у --c-api, <name>_font.h
+ */
+function jobHeader(job) {
+    if (job.options.cApi) return `${job.out}_font.h`;
+    return outputPath(job.out, getWriter(job.options.format, job.options));
+}
+
+/**
+ * Общий header, который подключает все сгенерированные
+ * (у --c-api — <name>_font.h, он сам подключает данные)
+ */
+function writeAggregate(aggregatePath, jobs, manifestPath) {
+    const dir = path.dirname(aggregatePath);
+    const guard = makeIncludeGuard(aggregatePath);
+
+    let out = '';
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `// Generated by font2header from ${path.basename(manifestPath)}\n\n`;
+
+    for (const job of jobs) {
+        const rel = path.relative(dir, jobHeader(job)).split(path.sep).join('/');
+        out += `#include "${rel}"\n`;
+    }
+
+    out += `\n#endif // ${guard}\n`;
+
+    fs.writeFileSync(aggregatePath, out, 'utf8');
+    console.log('Aggregate header written to', aggregatePath);
+}
+
+/**
+ * Конвертирует все шрифты манифеста по порядку
+ * Возвращает false, если хоть одна проверка --check-* не прошла
+ */
+async function runManifest(manifestPath) {
+    const { jobs, aggregate } = loadManifest(manifestPath);
+    let ok = true;
+
+    for (const job of jobs) {
+        fs.mkdirSync(path.dirname(job.out), { recursive: true });
+        if (!(await runJob(job))) ok = false;
+    }
+
+    if (aggregate) {
+        fs.mkdirSync(path.dirname(aggregate), { recursive: true });
+        writeAggregate(aggregate, jobs, manifestPath);
+    }
+
+    console.log(`${jobs.length} font(s) converted from ${manifestPath}`);
+    return ok;
+}
+
+module.exports = {
+    loadManifest,
+    runManifest,
+};
@@ -0,0 +1,145 @@
+const { createCanvas, loadImage } = require('canvas');
+const { createGlyph, setPixel } = require('./utils/bitmap');
+const { SourceError } = require('./errors');
+
+// Обратное чтение PNG-листа, который пишет convertToPNG:
+// 16 x 16 ячеек по width * scale x height * scale пикселей, глифы тёмные на прозрачном
+// (или на светлом, если художник залил фон)
+
+const GRID = 16;
+
+/**
+ * Тёмность пикселя 0..1 с учётом прозрачности
+ */
+function darkness(data, i) {
+    const alpha = data[i + 3] / 255;
+    const luma = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+
+    return alpha * (1 - luma);
+}
+
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Все блоки scale x scale одноцветные?
+ */
+function isUniform(ink, imgW, imgH, scale) {
+    for (let y = 0; y < imgH; y++) {
+        const by = y - (y % scale);
+
+        for (let x = 0; x < imgW; x++) {
+            if (ink[y * imgW + x] !== ink[by * imgW + x - (x % scale)]) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Читает PNG-лист в 256 ячеек
+ * width/height/scale можно задать явно, иначе они определяются по картинке:
+ * ячейка = размер / 16, масштаб — наибольший, при котором блоки scale x scale однородны.
+ * Пиксель блока горит, если средняя тёмность >= threshold;
+ * при options.bpp > 1 тёмность квантуется в уровни серого.
+ *
+ * Возвращает { width, height, scale, cells }
+ */
+async function readSheet(pngPath, options = {}) {
+    const { threshold = 0.5, bpp = 1 } = options;
+    const max = (1 << bpp) - 1;
+
+    const image = await loadImage(pngPath);
+    const imgW = image.width;
+    const imgH = image.height;
+
+    if (imgW % GRID || imgH % GRID) {
+        throw new SourceError(
+            `${pngPath}: ${imgW}x${imgH} is not a ${GRID}x${GRID} glyph sheet ` +
+                `(both sides must be divisible by ${GRID})`
+        );
+    }
+
+    const cellPxW = imgW / GRID;
+    const cellPxH = imgH / GRID;
+
+    const canvas = createCanvas(imgW, imgH);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const { data } = ctx.getImageData(0, 0, imgW, imgH);
+
+    // для поиска масштаба — уже квантованные уровни
+    const ink = new Uint8Array(imgW * imgH);
+    for (let i = 0; i < ink.length; i++) {
+        const value = darkness(data, i * 4);
+        ink[i] = bpp > 1 ? Math.round(value * max) : value >= threshold ? 1 : 0;
+    }
+
+    let scale = options.scale;
+
+    if (!scale && options.width) scale = cellPxW / options.width;
+    if (!scale && options.height) scale = cellPxH / options.height;
+
+    if (!scale) {
+        // от большего масштаба к меньшему; 1 подходит всегда
+        const common = gcd(cellPxW, cellPxH);
+        scale = 1;
+
+        for (let s = common; s > 1; s--) {
+            if (common % s === 0 && isUniform(ink, imgW, imgH, s)) {
+                scale = s;
+                break;
+            }
+        }
+    }
+
+    const width = cellPxW / scale;
+    const height = cellPxH / scale;
+
+    if (!Number.isInteger(width) || !Number.isInteger(height)) {
+        throw new SourceError(
+            `${pngPath}: cell ${cellPxW}x${cellPxH} px cannot be split at scale ${scale}`
+        );
+    }
+    if ((options.width && options.width !== width) || (options.height && options.height !== height)) {
+        throw new SourceError(
+            `${pngPath}: sheet has ${width}x${height} cells at scale ${scale}, ` +
+                `expected ${options.width || width}x${options.height || height}`
+        );
+    }
+
+    const cells = [];
+
+    for (let code = 0; code < 256; code++) {
+        const cell = createGlyph(width, height, bpp);
+        const ox = (code % GRID) * cellPxW;
+        const oy = Math.floor(code / GRID) * cellPxH;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+
+                for (let dy = 0; dy < scale; dy++) {
+                    for (let dx = 0; dx < scale; dx++) {
+                        const px = ox + x * scale + dx;
+                        const py = oy + y * scale + dy;
+                        sum += darkness(data, (py * imgW + px) * 4);
+                    }
+                }
+
+                const value = sum / (scale * scale);
+
+                if (bpp > 1) setPixel(cell, width, x, y, Math.round(value * max), bpp);
+                else if (value >= threshold) setPixel(cell, width, x, y);
+            }
+        }
+
+        cells.push(cell);
+    }
+
+    return { width, height, scale, cells };
+}
+
+module.exports = {
+    readSheet,
+};
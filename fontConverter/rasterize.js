@@ -1,15 +1,27 @@
+const { getPixel } = require('./utils/bitmap');
+
 /**
- * Рисует bitmap (8 байт) в canvas
- * Используется для PNG-превью и псевдографики
+ * Рисует bitmap (ceil(width / 8) байт на строку, height строк) в canvas
+ * Используется для PNG-превью, образца шрифта и псевдографики
+ * При bpp > 1 уровень пикселя рисуется прозрачностью цвета
+ *
+ * @param {object} [style]
+ * @param {number[]} [style.color] - [r, g, b], по умолчанию чёрный
+ * @param {number} [style.scale]   - сторона пикселя bitmap в пикселях canvas
  */
-function drawBitmap(ctx, ox, oy, bytes, width) {
-    ctx.fillStyle = 'black';
-    for (let y = 0; y < 8; y++) {
-        let row = bytes[y];
+function drawBitmap(ctx, ox, oy, bytes, width, height = 8, bpp = 1, style = {}) {
+    const { color = [0, 0, 0], scale = 1 } = style;
+    const [r, g, b] = color;
+    const max = (1 << bpp) - 1;
+
+    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
-            if (row & (1 << (7 - x))) {
-                ctx.fillRect(ox + x, oy + y, 1, 1);
-            }
+            const level = getPixel(bytes, width, x, y, bpp);
+            if (!level) continue;
+
+            if (bpp > 1) ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${(level / max).toFixed(3)})`;
+            ctx.fillRect(ox + x * scale, oy + y * scale, scale, scale);
         }
     }
 }
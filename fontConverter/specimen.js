@@ -0,0 +1,263 @@
+const { createCanvas } = require('canvas');
+const { drawBitmap } = require('./rasterize');
+const { OptionError } = require('./errors');
+
+// Образец шрифта (--specimen): ячейки по 16 в ряд с сеткой и hex-подписями строк и столбцов,
+// под каждым глифом — символ Unicode его слота (системным шрифтом, для сверки с bitmap),
+// ниже — абзац текста, набранный самими сконвертированными глифами.
+
+const PAD = 4; // поля ячейки сетки
+const LABEL_FONT = 12; // размер подписей, px
+const LABEL_H = LABEL_FONT + 4;
+const MARGIN = 16; // поля листа и отступ абзаца
+const MIN_CELL = 24; // глиф не мельче этой высоты, иначе рядом с подписями его не видно
+
+// образцы по умолчанию: берутся те, все символы которых есть в наборе
+const SAMPLES = [
+    'The quick brown fox jumps over the lazy dog.',
+    'Съешь же ещё этих мягких французских булок, да выпей чаю.',
+    '0123456789 !?#%&*+-=/()[]<>',
+];
+
+/**
+ * '#rgb' / '#rrggbb' (решётка не обязательна) → [r, g, b]; 'transparent' → null
+ */
+function parseColor(spec, name = 'Color') {
+    const value = String(spec).trim().toLowerCase();
+
+    if (value === 'transparent') return null;
+
+    const hex = value.replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/.test(hex)) {
+        return [...hex].map((c) => parseInt(c + c, 16));
+    }
+    if (/^[0-9a-f]{6}$/.test(hex)) {
+        return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    throw new OptionError(`${name} must be #rgb, #rrggbb or transparent, got "${spec}"`);
+}
+
+function css([r, g, b], alpha = 1) {
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function hex(value, digits) {
+    return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * Подпись слота: сам символ, управляющие и пустые — без подписи
+ */
+function charLabel(u) {
+    return u >= 0x20 && u !== 0x7f && !(u >= 0x80 && u < 0xa0) ? String.fromCodePoint(u) : '';
+}
+
+/**
+ * Образец по умолчанию из строк SAMPLES, которые набор глифов покрывает целиком;
+ * если ни одна не подходит — просто символы набора по порядку
+ */
+function defaultSample(has, unicodes) {
+    const lines = SAMPLES.filter((line) => [...line].every((ch) => ch === ' ' || has(ch)));
+    if (lines.length) return lines.join('\n');
+
+    return unicodes
+        .map(charLabel)
+        .filter((ch) => ch && ch !== ' ')
+        .slice(0, 96)
+        .join('');
+}
+
+/**
+ * Раскладка абзаца по строкам шириной maxWidth, перенос — по пробелам
+ * (слово длиннее строки режется по символам); '\n' — новая строка
+ *
+ * Возвращает строки — списки { ch, x }
+ */
+function layoutSample(text, advanceOf, maxWidth) {
+    const lines = [];
+
+    for (const paragraph of text.split('\n')) {
+        let line = [];
+        let x = 0;
+
+        for (const word of paragraph.split(/(\s+)/)) {
+            if (!word) continue;
+
+            const chars = [...word];
+            const width = chars.reduce((w, ch) => w + advanceOf(ch), 0);
+
+            // пробелы только сдвигают перо, в начале строки не нужны
+            if (/^\s/.test(word)) {
+                if (x) x += width;
+                continue;
+            }
+
+            if (x && x + width > maxWidth) {
+                lines.push(line);
+                line = [];
+                x = 0;
+            }
+
+            for (const ch of chars) {
+                const advance = advanceOf(ch);
+                if (x && x + advance > maxWidth) {
+                    lines.push(line);
+                    line = [];
+                    x = 0;
+                }
+                line.push({ ch, x });
+                x += advance;
+            }
+        }
+
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * Рисует образец шрифта
+ *
+ * @param {object} glyphSet - набор глифов (buildGlyphSet в converter.js)
+ * @param {object} sheet    - ячейки превью { cells, cellW, cellH } (sheetCells в converter.js)
+ * @param {object} [options]
+ * @param {number} [options.scale]  - масштаб глифов; не меньше, чем нужно для высоты MIN_CELL
+ * @param {string} [options.sample] - текст абзаца ('\n' — перевод строки), по умолчанию SAMPLES
+ * @param {number[]} [options.fg]   - цвет глифов и подписей [r, g, b], по умолчанию чёрный
+ * @param {number[]|null} [options.bg] - цвет фона, null — прозрачный; по умолчанию белый
+ *
+ * Возвращает Buffer с PNG
+ */
+function renderSpecimen(glyphSet, { cells, cellW, cellH }, options = {}) {
+    const { scale = 1, fg = [0, 0, 0], bg = [255, 255, 255] } = options;
+    const { bpp = 1, charset, baseline, glyphs } = glyphSet;
+    const unicodes = charset || glyphSet.encoding.table;
+
+    // символ → номер глифа (у кодовой страницы один символ может стоять в нескольких слотах)
+    const byChar = new Map();
+    unicodes.forEach((u, i) => {
+        if (!byChar.has(u)) byChar.set(u, i);
+    });
+    const glyphOf = (ch) => glyphs[byChar.get(ch.codePointAt(0)) ?? byChar.get(0x3f)] || null;
+    // слот есть, но шрифт символ не нарисовал — тоже нет
+    const has = (ch) => byChar.has(ch.codePointAt(0)) && glyphOf(ch).width > 0;
+
+    const zoom = Math.max(scale, Math.ceil(MIN_CELL / cellH));
+    const glyphW = cellW * zoom;
+    const glyphH = cellH * zoom;
+    const boxW = Math.max(glyphW, LABEL_FONT * 2) + 2 * PAD;
+    const boxH = glyphH + LABEL_H + 2 * PAD;
+    const rows = Math.ceil(cells.length / 16);
+
+    // у кодовой страницы — номер слота, у набора --range/--chars — первый код строки
+    const rowLabels = [];
+    for (let r = 0; r < rows; r++) {
+        rowLabels.push(charset ? `U+${hex(charset[r * 16], 4)}` : `0x${hex(r * 16, 2)}`);
+    }
+    const colLabels = [];
+    for (let c = 0; c < 16; c++) {
+        colLabels.push(charset ? `+${hex(c, 1)}` : hex(c, 1));
+    }
+
+    const measure = createCanvas(1, 1).getContext('2d');
+    measure.font = `${LABEL_FONT}px monospace`;
+    const widest = Math.max(...rowLabels.map((l) => measure.measureText(l).width));
+    const labelW = Math.ceil(widest) + 2 * PAD;
+
+    const gridX = MARGIN + labelW;
+    const gridY = MARGIN + LABEL_H;
+    const sheetW = gridX + 16 * boxW + MARGIN;
+
+    const sample = String(options.sample ?? defaultSample(has, unicodes));
+    const advanceOf = (ch) => {
+        const g = glyphOf(ch);
+        return (g ? g.advance : cellW) * zoom;
+    };
+    const lines = sample ? layoutSample(sample, advanceOf, sheetW - 2 * MARGIN) : [];
+    const lineH = (glyphSet.height + 1) * zoom;
+
+    const sampleY = gridY + rows * boxH + MARGIN;
+    const sheetH = sampleY + lines.length * lineH + (lines.length ? MARGIN : 0);
+
+    const canvas = createCanvas(sheetW, sheetH);
+    const ctx = canvas.getContext('2d');
+
+    ctx.clearRect(0, 0, sheetW, sheetH);
+    if (bg) {
+        ctx.fillStyle = css(bg);
+        ctx.fillRect(0, 0, sheetW, sheetH);
+    }
+
+    // подписи столбцов и строк
+    ctx.font = `${LABEL_FONT}px monospace`;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = css(fg, 0.7);
+
+    ctx.textAlign = 'center';
+    colLabels.forEach((label, c) => {
+        ctx.fillText(label, gridX + c * boxW + boxW / 2, MARGIN + LABEL_H / 2);
+    });
+
+    ctx.textAlign = 'right';
+    rowLabels.forEach((label, r) => {
+        ctx.fillText(label, gridX - PAD, gridY + r * boxH + boxH / 2);
+    });
+
+    // сетка
+    ctx.fillStyle = css(fg, 0.3);
+    for (let c = 0; c <= 16; c++) {
+        ctx.fillRect(gridX + c * boxW, gridY, 1, rows * boxH + 1);
+    }
+    for (let r = 0; r <= rows; r++) {
+        ctx.fillRect(gridX, gridY + r * boxH, 16 * boxW + 1, 1);
+    }
+
+    // глифы: подложка показывает границы ячейки, под глифом — символ слота
+    ctx.font = `${LABEL_FONT}px sans-serif`;
+    ctx.textAlign = 'center';
+
+    for (let i = 0; i < cells.length; i++) {
+        const boxX = gridX + (i % 16) * boxW;
+        const boxY = gridY + Math.floor(i / 16) * boxH;
+        const x = boxX + Math.floor((boxW - glyphW) / 2);
+        const y = boxY + PAD;
+
+        ctx.fillStyle = css(fg, 0.06);
+        ctx.fillRect(x, y, glyphW, glyphH);
+
+        drawBitmap(ctx, x, y, cells[i], cellW, cellH, bpp, { color: fg, scale: zoom });
+
+        ctx.fillStyle = css(fg, 0.7);
+        ctx.fillText(charLabel(unicodes[i]), boxX + boxW / 2, y + glyphH + PAD + LABEL_H / 2);
+    }
+
+    // абзац: глифы ставятся по базовой линии, как в пропорциональном header
+    lines.forEach((line, n) => {
+        const top = sampleY + n * lineH;
+
+        for (const { ch, x } of line) {
+            const g = glyphOf(ch);
+            if (!g || !g.width) continue;
+
+            drawBitmap(
+                ctx,
+                MARGIN + x + g.xOffset * zoom,
+                top + (baseline + g.yOffset) * zoom,
+                g.bytes,
+                g.width,
+                g.height,
+                bpp,
+                { color: fg, scale: zoom }
+            );
+        }
+    });
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    parseColor,
+    renderSpecimen,
+};
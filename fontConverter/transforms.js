@@ -0,0 +1,192 @@
+const { createGlyph, getPixel, setPixel } = require('./utils/bitmap');
+const { OptionError } = require('./errors');
+
+// Преобразования готовых ячеек (после растеризации, до раскладки и header):
+// --transform bold,oblique,invert,outline,mirror-h,mirror-v — применяются по порядку.
+// Размер ячейки не меняется, глиф остаётся внутри неё.
+
+// наклоны oblique от большего к меньшему: если глиф не влезает в ширину — берётся меньший
+const SLOPES = [1 / 4, 1 / 5, 1 / 6, 1 / 8, 0];
+
+/**
+ * Жирный: штрих расширяется на пиксель вправо,
+ * а если глиф уже касается правого края — влево
+ */
+function bold(cell, { width, height, bpp }) {
+    let touchesRight = false;
+    for (let y = 0; y < height && !touchesRight; y++) {
+        touchesRight = getPixel(cell, width, width - 1, y, bpp) > 0;
+    }
+
+    const dx = touchesRight ? 1 : -1;
+    const out = createGlyph(width, height, bpp);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sx = x + dx;
+            const near = sx >= 0 && sx < width ? getPixel(cell, width, sx, y, bpp) : 0;
+            setPixel(out, width, x, y, Math.max(getPixel(cell, width, x, y, bpp), near), bpp);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Наклон: строки выше базовой линии сдвигаются вправо, ниже — влево
+ * (slope пикселей на строку); глиф целиком смещается, чтобы остаться в ячейке
+ */
+function oblique(cell, { width, height, bpp, baseline }) {
+    // границы штрихов по строкам
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        let x0 = -1;
+        let x1 = -1;
+        for (let x = 0; x < width; x++) {
+            if (!getPixel(cell, width, x, y, bpp)) continue;
+            if (x0 < 0) x0 = x;
+            x1 = x;
+        }
+        if (x0 >= 0) rows.push({ y, x0, x1 });
+    }
+
+    if (!rows.length) return cell;
+
+    for (const slope of SLOPES) {
+        const shift = (y) => Math.round((baseline - 1 - y) * slope);
+        const left = Math.min(...rows.map((r) => r.x0 + shift(r.y)));
+        const right = Math.max(...rows.map((r) => r.x1 + shift(r.y)));
+
+        if (right - left >= width) continue;
+
+        const dx = left < 0 ? -left : Math.min(0, width - 1 - right);
+        const out = createGlyph(width, height, bpp);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const level = getPixel(cell, width, x, y, bpp);
+                if (level) setPixel(out, width, x + shift(y) + dx, y, level, bpp);
+            }
+        }
+
+        return out;
+    }
+
+    return cell;
+}
+
+/**
+ * Инверсия: фон становится штрихом и наоборот (для выделения в меню)
+ */
+function invert(cell, { width, height, bpp }) {
+    const max = (1 << bpp) - 1;
+    const out = createGlyph(width, height, bpp);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            setPixel(out, width, x, y, max - getPixel(cell, width, x, y, bpp), bpp);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Контур в 1 пиксель вокруг штрихов, сами штрихи гасятся;
+ * уровень точки контура — самый яркий из 8 соседей
+ */
+function outline(cell, { width, height, bpp }) {
+    const out = createGlyph(width, height, bpp);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (getPixel(cell, width, x, y, bpp)) continue;
+
+            let level = 0;
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    level = Math.max(level, getPixel(cell, width, nx, ny, bpp));
+                }
+            }
+            if (level) setPixel(out, width, x, y, level, bpp);
+        }
+    }
+
+    return out;
+}
+
+function mirror(cell, { width, height, bpp }, horizontal) {
+    const out = createGlyph(width, height, bpp);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const level = getPixel(cell, width, x, y, bpp);
+            if (!level) continue;
+
+            if (horizontal) setPixel(out, width, width - 1 - x, y, level, bpp);
+            else setPixel(out, width, x, height - 1 - y, level, bpp);
+        }
+    }
+
+    return out;
+}
+
+const TRANSFORMS = {
+    bold,
+    oblique,
+    invert,
+    outline,
+    'mirror-h': (cell, geometry) => mirror(cell, geometry, true),
+    'mirror-v': (cell, geometry) => mirror(cell, geometry, false),
+};
+
+const ALIASES = {
+    italic: 'oblique',
+};
+
+/**
+ * "bold,oblique" → ['bold', 'oblique']; пусто — []
+ */
+function parseTransforms(spec) {
+    if (!spec) return [];
+
+    return String(spec)
+        .split(',')
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean)
+        .map((t) => {
+            const name = ALIASES[t] || t;
+            if (!TRANSFORMS[name]) {
+                throw new OptionError(
+                    `Unknown transform "${t}" (${Object.keys(TRANSFORMS).join(', ')})`
+                );
+            }
+            return name;
+        });
+}
+
+/**
+ * Применяет преобразования по порядку к каждой ячейке
+ *
+ * @param {number[][]} cells
+ * @param {string[]} transforms - из parseTransforms()
+ * @param {object} geometry - { width, height, bpp, baseline }
+ */
+function applyTransforms(cells, transforms, geometry) {
+    if (!transforms || !transforms.length) return cells;
+
+    const { width, height, bpp = 1, baseline = height } = geometry;
+
+    return cells.map((cell) =>
+        transforms.reduce(
+            (c, name) => TRANSFORMS[name](c, { width, height, bpp, baseline }),
+            cell
+        )
+    );
+}
+
+module.exports = {
+    TRANSFORMS,
+    parseTransforms,
+    applyTransforms,
+};
@@ -0,0 +1,106 @@
+// bitmap.js
+// Глиф хранится построчно: ceil(width / 8) байт на строку, старший бит слева.
+// Для width <= 8 это ровно один байт на строку, как в исходном формате [256][8].
+// Градации серого (bpp = 2, 4, 8): пиксель — bpp бит уровня 0..2^bpp - 1,
+// ceil(width * bpp / 8) байт на строку, левый пиксель в старших битах.
+
+const DEPTHS = [1, 2, 4, 8];
+
+/**
+ * Сколько байт занимает одна строка глифа
+ */
+function rowBytes(width, bpp = 1) {
+    return Math.ceil((width * bpp) / 8);
+}
+
+/**
+ * Пустой глиф width x height
+ */
+function createGlyph(width, height, bpp = 1) {
+    return new Array(rowBytes(width, bpp) * height).fill(0);
+}
+
+/**
+ * Уровень пикселя: 0/1 для bpp = 1, иначе 0..2^bpp - 1
+ */
+function getPixel(bytes, width, x, y, bpp = 1) {
+    const bit = x * bpp;
+    const byte = bytes[y * rowBytes(width, bpp) + (bit >> 3)] || 0;
+    return (byte >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+}
+
+function setPixel(bytes, width, x, y, value = 1, bpp = 1) {
+    const bit = x * bpp;
+    const i = y * rowBytes(width, bpp) + (bit >> 3);
+    const shift = 8 - bpp - (bit & 7);
+    const mask = ((1 << bpp) - 1) << shift;
+
+    bytes[i] = (bytes[i] & ~mask) | ((value << shift) & mask);
+}
+
+/**
+ * Перевод глифа в другую глубину: уровни масштабируются, 1 bpp — порог по середине
+ */
+function convertDepth(bytes, width, height, from, to) {
+    if (from === to) return bytes;
+
+    const fromMax = (1 << from) - 1;
+    const toMax = (1 << to) - 1;
+    const out = createGlyph(width, height, to);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const level = getPixel(bytes, width, x, y, from);
+            if (level) setPixel(out, width, x, y, Math.round((level * toMax) / fromMax), to);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Обрезает пустые столбцы и строки по краям
+ * Возвращает { bytes, width, height, left, top } — left/top: сколько срезано слева/сверху
+ */
+function trimGlyph(bytes, width, height, bpp = 1) {
+    let x0 = width;
+    let y0 = height;
+    let x1 = -1;
+    let y1 = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!getPixel(bytes, width, x, y, bpp)) continue;
+            x0 = Math.min(x0, x);
+            y0 = Math.min(y0, y);
+            x1 = Math.max(x1, x);
+            y1 = Math.max(y1, y);
+        }
+    }
+
+    if (x1 < 0) {
+        return { bytes: [], width: 0, height: 0, left: 0, top: 0 };
+    }
+
+    const w = x1 - x0 + 1;
+    const h = y1 - y0 + 1;
+    const out = createGlyph(w, h, bpp);
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            setPixel(out, w, x, y, getPixel(bytes, width, x0 + x, y0 + y, bpp), bpp);
+        }
+    }
+
+    return { bytes: out, width: w, height: h, left: x0, top: y0 };
+}
+
+module.exports = {
+    DEPTHS,
+    rowBytes,
+    createGlyph,
+    getPixel,
+    setPixel,
+    convertDepth,
+    trimGlyph,
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { rowBytes, DEPTHS } = require('./bitmap');
+const { makeLayout, glyphBytes, rotatedSize, rotateGlyph, unpackGlyph } = require('./layout');
+const { decompressRLE } = require('./rle');
+const { SourceError } = require('../errors');
+
+// Обратное чтение header, который пишет makeHeader:
+// static const uint8_t name[256][N] = { {0x.., ...}, // Char ... };
+// Размер и раскладка берутся из комментариев / #define, у старых header —
+// из имени файла (Bm437_Portfolio_6x8.h) либо 8 x N.
+// Сжатый header (--compress): name_rle[] + name_index[256], размер глифа — NAME_GLYPH_SIZE.
+
+const ARRAY_RE = /static\s+const\s+uint8_t\s+(\w+)\s*\[\s*256\s*\]\s*\[\s*(\d+)\s*\]\s*=\s*\{/;
+const RLE_RE = /static\s+const\s+uint8_t\s+(\w+)_rle\s*\[\s*\d+\s*\]\s*=\s*\{/;
+const SIZE_RE =
+    /^\/\/\s*(\d+)x(\d+),\s*(row-major|column-major),\s*(MSB|LSB) first(?:,\s*rotated (\d+) deg)?(?:,\s*(\d) bpp)?/m;
+const ENCODING_RE = /^\/\/\s*Encoding:\s*(\S+)/m;
+
+/**
+ * Похоже ли содержимое на header font2header
+ */
+function isHeader(text) {
+    return ARRAY_RE.test(text) || RLE_RE.test(text);
+}
+
+/**
+ * Число из инициализатора C: 0x1f, 0b101, 017, 31
+ */
+function parseNumber(token, max = 0xff) {
+    const t = token.replace(/[uUlL]+$/, '');
+    let value;
+
+    if (/^0[xX][0-9a-fA-F]+$/.test(t)) value = parseInt(t.slice(2), 16);
+    else if (/^0[bB][01]+$/.test(t)) value = parseInt(t.slice(2), 2);
+    else if (/^0[0-7]+$/.test(t)) value = parseInt(t.slice(1), 8);
+    else if (/^\d+$/.test(t)) value = parseInt(t, 10);
+
+    if (value === undefined || value > max) {
+        throw new SourceError(`Invalid ${max === 0xff ? 'byte' : 'value'} "${token}"`);
+    }
+    return value;
+}
+
+/**
+ * Тело массива: 256 групп {…}; недостающие байты и группы — нули, как в C
+ */
+function parseArray(text, start, glyphSize) {
+    const end = text.indexOf('};', start);
+    if (end < 0) throw new SourceError('Unterminated glyph array');
+
+    const body = text
+        .slice(start, end)
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+
+    const groups = body.match(/\{[^{}]*\}/g) || [];
+    if (groups.length > 256) {
+        throw new SourceError(`Glyph array has ${groups.length} entries, expected 256`);
+    }
+
+    const data = [];
+    for (let i = 0; i < 256; i++) {
+        const tokens = i < groups.length ? groups[i].slice(1, -1).split(',') : [];
+        const bytes = tokens.map((t) => t.trim()).filter(Boolean).map((t) => parseNumber(t));
+
+        if (bytes.length > glyphSize) {
+            throw new SourceError(`Glyph ${i} has ${bytes.length} bytes, expected ${glyphSize}`);
+        }
+        while (bytes.length < glyphSize) bytes.push(0);
+        data.push(bytes);
+    }
+    return data;
+}
+
+/**
+ * Плоский массив чисел от start до "};"
+ */
+function parseList(text, start, max) {
+    const end = text.indexOf('};', start);
+    if (end < 0) throw new SourceError('Unterminated array');
+
+    return text
+        .slice(start, end)
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '')
+        .split(',')
+        .map((t) => t.trim())
+        .filter(Boolean)
+        .map((t) => parseNumber(t, max));
+}
+
+/**
+ * Сжатый header: поток RLE и 256 смещений → [256][glyphSize]
+ */
+function parseCompressed(text, name, start, glyphSize) {
+    const stream = parseList(text, start, 0xff);
+
+    const m = text.match(
+        new RegExp(`static\\s+const\\s+uint(?:16|32)_t\\s+${name}_index\\s*\\[\\s*256\\s*\\]\\s*=\\s*\\{`)
+    );
+    if (!m) throw new SourceError(`No "${name}_index[256]" table next to ${name}_rle`);
+
+    const index = parseList(text, m.index + m[0].length, 0xffffffff);
+    if (index.length !== 256) {
+        throw new SourceError(`${name}_index has ${index.length} entries, expected 256`);
+    }
+
+    return index.map((offset, i) => {
+        try {
+            return decompressRLE(stream, offset, glyphSize);
+        } catch (e) {
+            throw new SourceError(`Glyph ${i}: ${e.message}`);
+        }
+    });
+}
+
+/**
+ * Размер распакованного глифа: #define NAME_GLYPH_SIZE
+ */
+function compressedGlyphSize(text, name) {
+    const macro = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const size = text.match(new RegExp(`#define\\s+${macro}_GLYPH_SIZE\\s+(\\d+)`));
+
+    if (!size) throw new SourceError(`No ${macro}_GLYPH_SIZE for ${name}_rle`);
+    return Number(size[1]);
+}
+
+/**
+ * Размер символа: комментарий "// WxH, ...", #define NAME_WIDTH/HEIGHT(/BPP),
+ * имя файла ..._6x8.h; иначе старый формат 8 x N
+ */
+function detectSize(text, name, glyphSize, fileName) {
+    const m = text.match(SIZE_RE);
+    if (m) {
+        const layout = makeLayout({
+            layout: m[3],
+            bitOrder: m[4].toLowerCase(),
+            rotate: Number(m[5] || 0),
+        });
+        return { width: Number(m[1]), height: Number(m[2]), layout, bpp: Number(m[6] || 1) };
+    }
+
+    const layout = makeLayout();
+    const macro = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const w = text.match(new RegExp(`#define\\s+${macro}_WIDTH\\s+(\\d+)`));
+    const h = text.match(new RegExp(`#define\\s+${macro}_HEIGHT\\s+(\\d+)`));
+    const d = text.match(new RegExp(`#define\\s+${macro}_BPP\\s+(\\d+)`));
+    if (w && h) {
+        return { width: Number(w[1]), height: Number(h[1]), layout, bpp: d ? Number(d[1]) : 1 };
+    }
+
+    const f = fileName && path.basename(fileName).match(/(\d+)x(\d+)(?!.*\d+x\d+)/);
+    if (f && glyphBytes(Number(f[1]), Number(f[2]), layout) === glyphSize) {
+        return { width: Number(f[1]), height: Number(f[2]), layout, bpp: 1 };
+    }
+
+    return { width: 8, height: glyphSize, layout, bpp: 1 };
+}
+
+/**
+ * Разбирает текст header
+ *
+ * @param {string} text
+ * @param {string} [fileName] - для старых header без комментария с размером
+ *
+ * Возвращает { name, width, height, layout, bpp, encoding, data, glyphs, glyphWidth, glyphHeight }:
+ * width/height/layout — как в файле, data — упакованные байты [256][N],
+ * glyphs — 256 ячеек в каноническом виде (построчно, MSB first, без поворота, глубина bpp),
+ * их размер — glyphWidth x glyphHeight. encoding — имя из комментария или null
+ */
+function parseHeader(text, fileName) {
+    const m = text.match(ARRAY_RE) || text.match(RLE_RE);
+    if (!m) {
+        throw new SourceError('No "static const uint8_t name[256][N]" array found');
+    }
+
+    const name = m[1];
+    const compressed = m[2] === undefined;
+    const glyphSize = compressed ? compressedGlyphSize(text, name) : Number(m[2]);
+    const { width, height, layout, bpp } = detectSize(text, name, glyphSize, fileName);
+
+    if (!DEPTHS.includes(bpp)) {
+        throw new SourceError(`Unsupported depth ${bpp} bpp`);
+    }
+
+    // градации серого пишутся только построчно, без раскладки
+    const expected = bpp > 1 ? rowBytes(width, bpp) * height : glyphBytes(width, height, layout);
+    if (expected !== glyphSize) {
+        throw new SourceError(
+            `${width}x${height} glyphs take ${expected} bytes, array has [256][${glyphSize}]`
+        );
+    }
+
+    const start = m.index + m[0].length;
+    const data = compressed
+        ? parseCompressed(text, name, start, glyphSize)
+        : parseArray(text, start, glyphSize);
+
+    // ячейка до поворота
+    const source = rotatedSize(width, height, layout.rotate);
+    const unrotate = (360 - layout.rotate) % 360;
+    const glyphs =
+        bpp > 1
+            ? data
+            : data.map((bytes) =>
+                  rotateGlyph(unpackGlyph(bytes, width, height, layout), width, height, unrotate)
+              );
+
+    const enc = text.match(ENCODING_RE);
+
+    return {
+        name,
+        width,
+        height,
+        layout,
+        bpp,
+        encoding: enc ? enc[1] : null,
+        data,
+        glyphs,
+        glyphWidth: source.width,
+        glyphHeight: source.height,
+    };
+}
+
+/**
+ * Читает header с диска
+ */
+function readHeader(filePath) {
+    return parseHeader(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+module.exports = {
+    isHeader,
+    parseHeader,
+    readHeader,
+};
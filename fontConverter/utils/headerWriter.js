@@ -1,24 +1,45 @@
-const fs = require('fs');
 const path = require('path');
 const cp866 = require('../cp866');
+const { FormatError } = require('../errors');
+const { rowBytes, getPixel } = require('./bitmap');
+const { makeLayout, glyphBytes, describeLayout } = require('./layout');
+const { compressGlyphs, decompressRLE } = require('./rle');
 
 /**
- * Генерирует C++ header файл
+ * Генерирует текст C++ header
  *
- * @param {string} outPath   - путь к .h файлу
- * @param {number[][]} data  - массив [256][8]
- * @param {number} width     - ширина символа (4..8)
+ * @param {string} fileName  - имя .h файла (от него include guard и имя массива)
+ * @param {number[][]} data  - массив [256][N] ([charset.length][N]), глифы уже упакованы в options.layout
+ * @param {object} options
+ * @param {number} options.width  - ширина символа в пикселях (после поворота)
+ * @param {number} options.height - высота символа в пикселях (после поворота)
+ * @param {object} options.layout - раскладка из makeLayout() (по умолчанию row-major, MSB)
+ * @param {{name: string, table: number[]}} options.encoding - кодовая страница (по умолчанию cp866)
+ * @param {number} options.bpp    - бит на пиксель; при 2/4/8 глифы построчно, без раскладки
+ * @param {number[]} options.charset - отсортированные коды Unicode вместо 256 слотов encoding
+ * @param {boolean} options.compress - RLE по глифам: поток name_rle, смещения name_index
+ *                                     и функция распаковки name_decode()
  */
-function writeHeader(outPath, data) {
+function makeHeader(fileName, data, options = {}) {
+    const {
+        width = 8,
+        height = 8,
+        encoding = { name: 'cp866', table: cp866 },
+        layout = makeLayout(),
+        bpp = 1,
+        charset = null,
+        compress = false,
+    } = options;
+    const glyphSize = bpp > 1 ? rowBytes(width, bpp) * height : glyphBytes(width, height, layout);
+    const count = charset ? charset.length : 256;
 
-    // console.log(data);
-
-    if (!Array.isArray(data) || data.length !== 256) {
-        throw new Error('Data must be array [256][8]');
+    if (!Array.isArray(data) || data.length !== count) {
+        throw new FormatError(`Data must be array [${count}][${glyphSize}]`);
     }
 
-    const guard = makeIncludeGuard(outPath);
-    const name = path.basename(outPath, '.h');
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName);
+    const macro = name.toUpperCase();
 
     let out = '';
 
@@ -28,23 +49,38 @@ function writeHeader(outPath, data) {
     out += `#include <stdint.h>\n\n`;
 
     out += `// Generated by font2header\n`;
+    out += `// ${width}x${height}, ${describeLayout(layout)}${describeDepth(bpp)}`;
+    out += compress ? `, RLE compressed\n` : `\n`;
+    out += charset ? `// ${describeCharset(charset)}\n` : `// Encoding: ${encoding.name}\n`;
+    out += `#define ${macro}_WIDTH ${width}\n`;
+    out += `#define ${macro}_HEIGHT ${height}\n`;
+    if (bpp > 1) out += `#define ${macro}_BPP ${bpp}\n`;
+    if (compress) out += `#define ${macro}_GLYPH_SIZE ${glyphSize}\n`;
+    out += `\n`;
+
+    if (charset) out += makeCodeTable(name, macro, charset);
+
+    if (compress) {
+        out += makeCompressed(name, macro, data, glyphSize, (i) =>
+            charset ? makeCodeComment(charset[i]) : makeComment(i, encoding.table)
+        );
+        out += `#endif // ${guard}\n`;
+        return out;
+    }
 
-    out += `static const uint8_t ${name}[256][8] = {\n`;
+    out += `static const uint8_t ${name}[${count}][${glyphSize}] = {\n`;
 
     // Символы
-    for (let i = 0; i < 256; i++) {
-        let bytes = data[i];
-
-        if (!Array.isArray(bytes) || bytes.length !== 8) {
-            console.error(`Invalid glyph data at index ${i}`, bytes);
-            bytes = [0, 0, 0, 0, 0, 0, 0, 0];
-        } else {
-            // console.log(bytes);
+    for (let i = 0; i < count; i++) {
+        const bytes = data[i];
+
+        if (!Array.isArray(bytes) || bytes.length !== glyphSize) {
+            throw new FormatError(`Glyph ${i} must have ${glyphSize} bytes`);
         }
 
         const hex = bytes.map((b) => `0x${b.toString(16).padStart(2, '0')}`).join(', ');
 
-        const comment = makeComment(i);
+        const comment = charset ? makeCodeComment(charset[i]) : makeComment(i, encoding.table);
 
         out += `  {${hex}}, ${comment}\n`;
     }
@@ -52,20 +88,273 @@ function writeHeader(outPath, data) {
     out += `};\n\n`;
     out += `#endif // ${guard}\n`;
 
-    fs.writeFileSync(outPath, out, 'utf8');
-    console.log('Header written to', outPath);
+    return out;
 }
 
 /**
- * Формирует include guard
+ * Сжимает глифы RLE; поток сразу проверяется обратной распаковкой
+ *
+ * Возвращает { data, index, indexType, indexBytes, plain, packed }:
+ * plain/packed — байт до и после сжатия (packed — поток вместе с таблицей смещений)
  */
-function makeIncludeGuard(filePath) {
+function compressHeaderGlyphs(glyphs, glyphSize) {
+    const { data, index } = compressGlyphs(glyphs);
+
+    glyphs.forEach((bytes, i) => {
+        const decoded = decompressRLE(data, index[i], glyphSize);
+        if (decoded.some((b, j) => b !== bytes[j])) {
+            throw new Error(`RLE round trip failed at glyph ${i}`);
+        }
+    });
+
+    const indexType = data.length > 0xffff ? 'uint32_t' : 'uint16_t';
+    const indexBytes = index.length * (indexType === 'uint32_t' ? 4 : 2);
+
+    return {
+        data,
+        index,
+        indexType,
+        indexBytes,
+        plain: glyphs.length * glyphSize,
+        packed: data.length + indexBytes,
+    };
+}
+
+/**
+ * "RLE: 2048 -> 1190 bytes (58.1%, data 678 + index 512)"
+ */
+function describeCompression(glyphs, glyphSize) {
+    const { data, indexBytes, plain, packed } = compressHeaderGlyphs(glyphs, glyphSize);
+
     return (
+        `RLE: ${plain} -> ${packed} bytes (${((packed * 100) / plain).toFixed(1)}%, ` +
+        `data ${data.length} + index ${indexBytes})`
+    );
+}
+
+/**
+ * Сжатые глифы: поток RLE, таблица смещений и распаковщик на C
+ */
+function makeCompressed(name, macro, glyphs, glyphSize, commentFor) {
+    const { data, index, indexType } = compressHeaderGlyphs(glyphs, glyphSize);
+
+    let out = '';
+
+    out += `// Glyph i starts at ${name}_rle[${name}_index[i]], decodes to ${macro}_GLYPH_SIZE bytes:\n`;
+    out += `// 0x00..0x7F n: n + 1 literal bytes follow; 0x80..0xFF n: next byte repeats n - 0x7E times\n`;
+    out += `static const uint8_t ${name}_rle[${Math.max(data.length, 1)}] = {\n`;
+    glyphs.forEach((bytes, i) => {
+        const end = i + 1 < index.length ? index[i + 1] : data.length;
+        const hex = data.slice(index[i], end).map((b) => `0x${b.toString(16).padStart(2, '0')}`);
+        out += `  ${hex.join(', ')}, ${commentFor(i)}\n`;
+    });
+    out += `};\n\n`;
+
+    out += `static const ${indexType} ${name}_index[${index.length}] = {\n`;
+    for (let i = 0; i < index.length; i += 12) {
+        out += `  ${index.slice(i, i + 12).join(', ')},\n`;
+    }
+    out += `};\n\n`;
+
+    out += `// Unpacks glyph i into out[${macro}_GLYPH_SIZE], same bytes as an uncompressed header\n`;
+    out += `static inline void ${name}_decode(uint16_t i, uint8_t *out)\n`;
+    out += `{\n`;
+    out += `  const uint8_t *src = ${name}_rle + ${name}_index[i];\n`;
+    out += `  uint16_t n = 0;\n\n`;
+    out += `  while (n < ${macro}_GLYPH_SIZE) {\n`;
+    out += `    uint8_t c = *src++;\n`;
+    out += `    if (c & 0x80) {\n`;
+    out += `      uint8_t value = *src++;\n`;
+    out += `      for (c = (uint8_t)(c - 0x7E); c; c--) out[n++] = value;\n`;
+    out += `    } else {\n`;
+    out += `      for (c++; c; c--) out[n++] = *src++;\n`;
+    out += `    }\n`;
+    out += `  }\n`;
+    out += `}\n\n`;
+
+    return out;
+}
+
+/**
+ * Генерирует текст header пропорционального шрифта: общий упакованный массив bitmap
+ * и таблица дескрипторов по образцу GFXglyph из Adafruit GFX
+ *
+ * @param {string} fileName - имя .h файла
+ * @param {object[]} glyphs - 256 (charset.length) записей { bytes, width, height, xOffset, yOffset, advance }
+ * @param {object} options
+ * @param {number} options.height   - высота строки в пикселях
+ * @param {number} options.baseline - строка базовой линии от верха строки
+ * @param {{name: string, table: number[]}} options.encoding - кодовая страница
+ * @param {number} options.bpp      - бит на пиксель (1, 2, 4, 8)
+ * @param {number[]} options.charset - отсортированные коды Unicode вместо 256 слотов encoding
+ */
+function makeProportionalHeader(fileName, glyphs, options) {
+    const {
+        height,
+        baseline,
+        encoding = { name: 'cp866', table: cp866 },
+        bpp = 1,
+        charset = null,
+    } = options;
+    const count = charset ? charset.length : 256;
+
+    if (!Array.isArray(glyphs) || glyphs.length !== count) {
+        throw new FormatError(`Glyphs must be array [${count}]`);
+    }
+
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName);
+    const macro = name.toUpperCase();
+
+    let bitmaps = '';
+    let table = '';
+    let offset = 0;
+
+    for (let i = 0; i < count; i++) {
+        const g = glyphs[i];
+        const bytes = packBits(g.bytes, g.width, g.height, bpp);
+        const comment = charset ? makeCodeComment(charset[i]) : makeComment(i, encoding.table);
+
+        if (bytes.length) {
+            const hex = bytes.map((b) => `0x${b.toString(16).padStart(2, '0')}`).join(', ');
+            bitmaps += `  ${hex}, ${comment}\n`;
+        }
+
+        const fields = [offset, g.width, g.height, g.advance, g.xOffset, g.yOffset];
+        table += `  {${fields.map((f) => String(f).padStart(5)).join(',')}}, ${comment}\n`;
+
+        offset += bytes.length;
+    }
+
+    if (offset > 0xffff) {
+        throw new FormatError('Bitmap data exceeds 64 KB, offsets do not fit uint16_t');
+    }
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `#include <stdint.h>\n\n`;
+
+    out += `// Generated by font2header\n`;
+    out += `// Proportional, line height ${height}, baseline row ${baseline}, ${offset} bitmap bytes`;
+    out += `${describeDepth(bpp)}\n`;
+    out += charset ? `// ${describeCharset(charset)}\n` : `// Encoding: ${encoding.name}\n`;
+    out += `#define ${macro}_HEIGHT ${height}\n`;
+    out += `#define ${macro}_BASELINE ${baseline}\n`;
+    if (bpp > 1) out += `#define ${macro}_BPP ${bpp}\n`;
+    out += `\n`;
+
+    out += `#ifndef FONT2HEADER_GLYPH_T\n`;
+    out += `#define FONT2HEADER_GLYPH_T\n`;
+    out += `// Same field order as GFXglyph; bitmap bits are packed MSB first,\n`;
+    out += `// continuous across rows, each glyph starts on a byte boundary\n`;
+    out += `typedef struct {\n`;
+    out += `  uint16_t offset;  // index into the bitmap array\n`;
+    out += `  uint8_t width;    // bitmap size in pixels\n`;
+    out += `  uint8_t height;\n`;
+    out += `  uint8_t advance;  // pen advance\n`;
+    out += `  int8_t xOffset;   // from the pen position on the baseline to the bitmap corner\n`;
+    out += `  int8_t yOffset;\n`;
+    out += `} font2header_glyph_t;\n`;
+    out += `#endif\n\n`;
+
+    out += `static const uint8_t ${name}_bitmaps[${Math.max(offset, 1)}] = {\n`;
+    out += offset ? bitmaps : '  0x00,\n';
+    out += `};\n\n`;
+
+    if (charset) out += makeCodeTable(name, macro, charset);
+
+    out += `// {offset, width, height, advance, xOffset, yOffset}\n`;
+    out += `static const font2header_glyph_t ${name}_glyphs[${count}] = {\n`;
+    out += table;
+    out += `};\n\n`;
+
+    out += `#endif // ${guard}\n`;
+
+    return out;
+}
+
+/**
+ * Пакует bitmap непрерывным потоком бит (MSB first), без выравнивания строк
+ * При bpp > 1 в потоке идут уровни по bpp бит, старшие биты первыми
+ */
+function packBits(bytes, width, height, bpp = 1) {
+    const out = new Array(Math.ceil((width * height * bpp) / 8)).fill(0);
+    let bit = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const level = getPixel(bytes, width, x, y, bpp);
+            if (level) {
+                out[bit >> 3] |= level << (8 - bpp - (bit & 7));
+            }
+            bit += bpp;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Таблица кодов для набора --range/--chars: глиф i — символ codes[i],
+ * коды по возрастанию, поиск — бинарный
+ */
+function makeCodeTable(name, macro, charset) {
+    const type = charset[charset.length - 1] > 0xffff ? 'uint32_t' : 'uint16_t';
+    const digits = type === 'uint32_t' ? 6 : 4;
+    const codes = charset.map((u) => `0x${u.toString(16).padStart(digits, '0')}`);
+
+    let out = '';
+    out += `// Glyph i is code point ${name}_codes[i]; sorted ascending for binary search\n`;
+    out += `#define ${macro}_COUNT ${charset.length}\n`;
+    out += `static const ${type} ${name}_codes[${charset.length}] = {\n`;
+    for (let i = 0; i < codes.length; i += 12) {
+        out += `  ${codes.slice(i, i + 12).join(', ')},\n`;
+    }
+    out += `};\n\n`;
+    return out;
+}
+
+/**
+ * "Characters: 160 code points, U+0020..U+044F"
+ */
+function describeCharset(charset) {
+    const hex = (u) => `U+${u.toString(16).padStart(4, '0').toUpperCase()}`;
+    const first = hex(charset[0]);
+    const last = hex(charset[charset.length - 1]);
+
+    return `Characters: ${charset.length} code points, ${first}..${last}`;
+}
+
+/**
+ * Хвост комментария о глубине: пусто для 1 bpp
+ */
+function describeDepth(bpp) {
+    return bpp > 1 ? `, ${bpp} bpp` : '';
+}
+
+/**
+ * Формирует include guard: макрос не может начинаться с цифры
+ */
+function makeIncludeGuard(filePath) {
+    const guard =
         path
             .basename(filePath)
             .toUpperCase()
-            .replace(/[^A-Z0-9]/g, '_') + '_'
-    );
+            .replace(/[^A-Z0-9]/g, '_') + '_';
+
+    return /^[0-9]/.test(guard) ? `_${guard}` : guard;
+}
+
+/**
+ * Имя символа из имени файла: только [A-Za-z0-9_], не с цифры;
+ * ключевое слово языка из reserved получает '_' в конце
+ */
+function makeSymbolName(filePath, reserved = []) {
+    let name = path.basename(filePath, path.extname(filePath)).replace(/[^A-Za-z0-9_]/g, '_');
+    if (/^[0-9]/.test(name)) name = `_${name}`;
+    return reserved.includes(name) ? `${name}_` : name;
 }
 
 /**
@@ -73,30 +362,54 @@ function makeIncludeGuard(filePath) {
  * // Char 032 ( )
  * // Char 065 (A)
  * // Char 0x80 (А)
+ * Подпись символа берётся из таблицы кодовой страницы
  */
-function makeComment(code) {
-    let label;
-    if (code >= 0x20 && code <= 0x7e) {
-        label = String.fromCharCode(code);
-    } else {
-        const u = cp866[code];
-        if (u && u >= 0x20) {
-            label = String.fromCharCode(u);
-        } else {
-            label = '';
-        }
-    }
+function makeComment(code, table = cp866) {
+    return `// ${makeLabel(code, table)}`;
+}
 
+/**
+ * Комментарий для глифа из набора --range/--chars:
+ * // U+0410 (А)
+ */
+function makeCodeComment(unicode) {
+    return `// ${makeCodeLabel(unicode)}`;
+}
+
+/**
+ * Текст комментария без "//" (для языков с другим синтаксисом): "Char 065 (A)"
+ */
+function makeLabel(code, table = cp866) {
     const num =
         code < 32 || code >= 127
             ? `0x${code.toString(16).padStart(2, '0').toUpperCase()}`
             : code.toString().padStart(3, '0');
 
-    return `// Char ${num} (${label})`;
+    return `Char ${num} (${charLabel(table[code])})`;
+}
+
+/**
+ * "U+0410 (А)"
+ */
+function makeCodeLabel(unicode) {
+    return `U+${unicode.toString(16).padStart(4, '0').toUpperCase()} (${charLabel(unicode)})`;
+}
+
+function charLabel(u) {
+    return u >= 0x20 && u !== 0x7f && !(u >= 0x80 && u < 0xa0) ? String.fromCodePoint(u) : '';
 }
 
 module.exports = {
-    writeHeader,
+    makeHeader,
+    makeProportionalHeader,
+    describeCompression,
+    packBits,
     makeComment,
+    makeCodeComment,
+    makeLabel,
+    makeCodeLabel,
+    describeCharset,
+    describeDepth,
     makeIncludeGuard,
+    makeSymbolName,
 };
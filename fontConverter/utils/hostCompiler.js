@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Сборка и запуск проверочной программы на C хостовым компилятором
+// (gcc или $CC) — для сверки сгенерированного C-кода с тем, что считает конвертер
+
+/**
+ * Компилирует main.c (+ sources) во временном каталоге и запускает
+ *
+ * @param {string} source - текст main.c
+ * @param {object} options
+ * @param {string[]} options.includeDirs - каталоги -I (там лежат проверяемые header)
+ * @param {string[]} options.sources     - дополнительные .c
+ *
+ * Возвращает { stdout: Buffer, stderr: string }; ошибка сборки или запуска — исключение
+ */
+function runHostProgram(source, { includeDirs = [], sources = [] } = {}) {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'font2header-'));
+
+    try {
+        const main = path.join(tmp, 'main.c');
+        const exe = path.join(tmp, 'check');
+        fs.writeFileSync(main, source, 'utf8');
+
+        const cc = process.env.CC || 'gcc';
+        const flags = ['-std=c99', '-Wall', '-Wextra', '-Werror'];
+        const includes = includeDirs.flatMap((dir) => ['-I', dir]);
+        const build = spawnSync(cc, [...flags, ...includes, main, ...sources, '-o', exe], {
+            encoding: 'utf8',
+        });
+
+        if (build.error) {
+            throw new Error(`Cannot run ${cc}: ${build.error.message}`);
+        }
+        if (build.status !== 0) {
+            throw new Error(`${cc} failed:\n${build.stderr.trimEnd()}`);
+        }
+
+        const run = spawnSync(exe, [], { maxBuffer: 64 * 1024 * 1024 });
+        if (run.status !== 0) {
+            throw new Error(`Test program failed (exit ${run.status})`);
+        }
+
+        return { stdout: run.stdout, stderr: run.stderr.toString('utf8') };
+    } finally {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    runHostProgram,
+};
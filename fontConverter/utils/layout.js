@@ -0,0 +1,162 @@
+// layout.js
+// Раскладка байт глифа для разных контроллеров.
+//
+// row-major    — построчно, ceil(width / 8) байт на строку (как [256][8])
+// column-major — страницами по 8 строк: для каждой страницы width байт,
+//                каждый байт — 8 пикселей столбца (SSD1306, SH1106, ST7565)
+//
+// bitOrder: msb — первый пиксель (левый / верхний) в старшем бите, lsb — в младшем
+
+const { rowBytes, createGlyph, getPixel, setPixel } = require('./bitmap');
+const { OptionError } = require('../errors');
+
+const LAYOUTS = ['row-major', 'column-major'];
+const BIT_ORDERS = ['msb', 'lsb'];
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Нормализует описание раскладки, по умолчанию column-major идёт LSB first
+ */
+function makeLayout({ layout = 'row-major', bitOrder, rotate = 0 } = {}) {
+    if (!LAYOUTS.includes(layout)) {
+        throw new OptionError(`Layout must be ${LAYOUTS.join(' or ')}`);
+    }
+
+    const order = bitOrder || (layout === 'column-major' ? 'lsb' : 'msb');
+    if (!BIT_ORDERS.includes(order)) {
+        throw new OptionError(`Bit order must be ${BIT_ORDERS.join(' or ')}`);
+    }
+
+    const angle = Number(rotate);
+    if (!ROTATIONS.includes(angle)) {
+        throw new OptionError(`Rotation must be one of ${ROTATIONS.join(', ')}`);
+    }
+
+    return { layout, bitOrder: order, rotate: angle };
+}
+
+/**
+ * Размер ячейки после поворота
+ */
+function rotatedSize(width, height, rotate) {
+    return rotate === 90 || rotate === 270 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Поворот глифа по часовой стрелке на 90/180/270 градусов
+ */
+function rotateGlyph(bytes, width, height, rotate) {
+    if (!rotate) return bytes;
+
+    const size = rotatedSize(width, height, rotate);
+    const out = createGlyph(size.width, size.height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!getPixel(bytes, width, x, y)) continue;
+
+            let nx, ny;
+            if (rotate === 90) {
+                nx = height - 1 - y;
+                ny = x;
+            } else if (rotate === 180) {
+                nx = width - 1 - x;
+                ny = height - 1 - y;
+            } else {
+                nx = y;
+                ny = width - 1 - x;
+            }
+            setPixel(out, size.width, nx, ny);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Сколько байт занимает глиф width x height в раскладке
+ */
+function glyphBytes(width, height, layout) {
+    return layout.layout === 'column-major'
+        ? Math.ceil(height / 8) * width
+        : rowBytes(width) * height;
+}
+
+function bitMask(i, bitOrder) {
+    return bitOrder === 'msb' ? 1 << (7 - i) : 1 << i;
+}
+
+/**
+ * Упаковывает уже повёрнутый глиф (row-major, MSB) в заданную раскладку
+ */
+function packGlyph(bytes, width, height, layout) {
+    const out = new Array(glyphBytes(width, height, layout)).fill(0);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!getPixel(bytes, width, x, y)) continue;
+
+            if (layout.layout === 'column-major') {
+                out[(y >> 3) * width + x] |= bitMask(y & 7, layout.bitOrder);
+            } else {
+                out[y * rowBytes(width) + (x >> 3)] |= bitMask(x & 7, layout.bitOrder);
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Обратная операция: раскладка → row-major, MSB (повёрнутый глиф)
+ */
+function unpackGlyph(packed, width, height, layout) {
+    const out = createGlyph(width, height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const on =
+                layout.layout === 'column-major'
+                    ? packed[(y >> 3) * width + x] & bitMask(y & 7, layout.bitOrder)
+                    : packed[y * rowBytes(width) + (x >> 3)] & bitMask(x & 7, layout.bitOrder);
+
+            if (on) setPixel(out, width, x, y);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Поворачивает и упаковывает весь набор глифов
+ * Возвращает { data, width, height } — размеры уже после поворота
+ */
+function applyLayout(glyphs, width, height, layout) {
+    const size = rotatedSize(width, height, layout.rotate);
+    const data = glyphs.map((g) =>
+        packGlyph(rotateGlyph(g, width, height, layout.rotate), size.width, size.height, layout)
+    );
+
+    return { data, ...size };
+}
+
+/**
+ * Строка для комментария в заголовке
+ */
+function describeLayout(layout) {
+    let s = `${layout.layout}, ${layout.bitOrder.toUpperCase()} first`;
+    if (layout.rotate) s += `, rotated ${layout.rotate} deg`;
+    return s;
+}
+
+module.exports = {
+    LAYOUTS,
+    makeLayout,
+    rotatedSize,
+    rotateGlyph,
+    glyphBytes,
+    packGlyph,
+    unpackGlyph,
+    applyLayout,
+    describeLayout,
+};
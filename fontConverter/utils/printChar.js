@@ -1,13 +1,31 @@
-function printChar(buffer, width = 8) {
-    let output = '';
+const { rowBytes, getPixel } = require('./bitmap');
 
-    for (const byte of buffer) {
-        const binary = (byte & 0xff).toString(2).padStart(8, '0').slice(0, width);
-        const line = binary.replace(/1/g, '█').replace(/0/g, '.');
-        output += line.split('').join(' ') + '\n';
+// уровни серого в терминале: от пустого к полному
+const SHADES = ['.', '░', '▒', '▓', '█'];
+
+/**
+ * Строки глифа для терминала: '█' — пиксель, '.' — пусто;
+ * при bpp > 1 уровень показывается оттенком ░▒▓
+ */
+function formatChar(buffer, width = 8, bpp = 1, height = buffer.length / rowBytes(width, bpp)) {
+    const max = (1 << bpp) - 1;
+    const lines = [];
+
+    for (let y = 0; y < height; y++) {
+        let line = '';
+        for (let x = 0; x < width; x++) {
+            const level = getPixel(buffer, width, x, y, bpp);
+            line += level ? SHADES[Math.max(1, Math.round((level / max) * 4))] : '.';
+        }
+        lines.push(line.split('').join(' '));
     }
 
-    console.log(output);
+    return lines;
+}
+
+function printChar(buffer, width = 8, bpp = 1, height = buffer.length / rowBytes(width, bpp)) {
+    console.log(formatChar(buffer, width, bpp, height).join('\n') + '\n');
 }
 
 module.exports = printChar;
+module.exports.formatChar = formatChar;
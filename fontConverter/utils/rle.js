@@ -0,0 +1,90 @@
+// rle.js
+// Сжатие глифов для МК: каждый глиф кодируется отдельно (произвольный доступ по индексу),
+// схема как у PackBits:
+//   c = 0x00..0x7F — дальше c + 1 байт как есть,
+//   c = 0x80..0xFF — следующий байт повторяется c - 0x80 + 2 раз.
+// Пустые строки и сплошные штрихи сворачиваются в пару байт.
+
+const MAX_LITERAL = 128;
+const MAX_RUN = 129;
+
+/**
+ * Сжимает байты одного глифа
+ */
+function compressRLE(bytes) {
+    const out = [];
+    let literal = [];
+
+    const flush = () => {
+        if (!literal.length) return;
+        out.push(literal.length - 1, ...literal);
+        literal = [];
+    };
+
+    let i = 0;
+    while (i < bytes.length) {
+        let run = 1;
+        while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < MAX_RUN) run++;
+
+        // повтор из двух байт выгоднее оставить внутри literal
+        if (run >= 3 || (run === 2 && !literal.length)) {
+            flush();
+            out.push(0x80 + run - 2, bytes[i]);
+            i += run;
+            continue;
+        }
+
+        literal.push(bytes[i++]);
+        if (literal.length === MAX_LITERAL) flush();
+    }
+    flush();
+
+    return out;
+}
+
+/**
+ * Распаковывает size байт глифа, начиная с data[offset]
+ */
+function decompressRLE(data, offset, size) {
+    const out = [];
+    let i = offset;
+
+    while (out.length < size) {
+        const c = data[i++];
+        if (c === undefined) throw new Error('RLE data ends inside a glyph');
+
+        if (c & 0x80) {
+            const value = data[i++];
+            for (let n = c - 0x80 + 2; n > 0; n--) out.push(value);
+        } else {
+            for (let n = c + 1; n > 0; n--) out.push(data[i++]);
+        }
+        if (i > data.length) throw new Error('RLE data ends inside a glyph');
+    }
+
+    if (out.length !== size) {
+        throw new Error(`RLE glyph decodes to ${out.length} bytes, expected ${size}`);
+    }
+    return out;
+}
+
+/**
+ * Сжимает все глифы: { data, index } — общий поток и смещение каждого глифа в нём
+ */
+function compressGlyphs(glyphs) {
+    const data = [];
+    const index = [];
+
+    for (const bytes of glyphs) {
+        index.push(data.length);
+        data.push(...compressRLE(bytes));
+    }
+
+    return { data, index };
+}
+
+module.exports = {
+    compressRLE,
+    decompressRLE,
+    compressGlyphs,
+};
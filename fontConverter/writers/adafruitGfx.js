@@ -0,0 +1,82 @@
+const { makeIncludeGuard, makeSymbolName, makeComment, packBits } = require('../utils/headerWriter');
+const { FormatError } = require('../errors');
+
+/**
+ * Шрифт Adafruit GFX (GFXfont / GFXglyph), как у fontconvert
+ * Символы — байты кодовой страницы, диапазон first..last без пропусков
+ */
+function render(glyphSet, { fileName }) {
+    const { height, encoding, glyphs } = glyphSet;
+
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName);
+
+    const used = glyphs
+        .map((g, code) => (code > 0 && (g.width || g.advance) ? code : -1))
+        .filter((code) => code >= 0);
+
+    if (!used.length) {
+        throw new FormatError('Font has no glyphs');
+    }
+
+    const first = used[0];
+    const last = used[used.length - 1];
+
+    let bitmaps = '';
+    let table = '';
+    let offset = 0;
+
+    for (let code = first; code <= last; code++) {
+        const g = glyphs[code];
+        const bytes = packBits(g.bytes, g.width, g.height);
+        const comment = makeComment(code, encoding.table);
+
+        if (bytes.length) {
+            const hex = bytes.map((b) => `0x${b.toString(16).padStart(2, '0')}`).join(', ');
+            bitmaps += `  ${hex}, ${comment}\n`;
+        }
+
+        const fields = [offset, g.width, g.height, g.advance, g.xOffset, g.yOffset];
+        table += `  {${fields.map((f) => String(f).padStart(5)).join(',')}}, ${comment}\n`;
+
+        offset += bytes.length;
+    }
+
+    if (offset > 0xffff) {
+        throw new FormatError('Bitmap data exceeds 64 KB, GFXglyph.bitmapOffset is uint16_t');
+    }
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `#include <Adafruit_GFX.h>\n\n`;
+
+    out += `// Generated by font2header\n`;
+    out += `// Adafruit GFX font, encoding ${encoding.name}, chars 0x${first.toString(16)}..0x${last.toString(16)}\n\n`;
+
+    out += `const uint8_t ${name}Bitmaps[] PROGMEM = {\n`;
+    out += offset ? bitmaps : '  0x00,\n';
+    out += `};\n\n`;
+
+    out += `// {bitmapOffset, width, height, xAdvance, xOffset, yOffset}\n`;
+    out += `const GFXglyph ${name}Glyphs[] PROGMEM = {\n`;
+    out += table;
+    out += `};\n\n`;
+
+    out += `const GFXfont ${name} PROGMEM = {\n`;
+    out += `  (uint8_t *)${name}Bitmaps,\n`;
+    out += `  (GFXglyph *)${name}Glyphs,\n`;
+    out += `  0x${first.toString(16).padStart(2, '0')}, 0x${last.toString(16).padStart(2, '0')}, ${height}\n`;
+    out += `};\n\n`;
+
+    out += `#endif // ${guard}\n`;
+
+    return out;
+}
+
+module.exports = {
+    depths: [1],
+    charset: false,
+    render,
+};
@@ -0,0 +1,149 @@
+const { makeIncludeGuard, makeSymbolName } = require('../utils/headerWriter');
+const { FormatError } = require('../errors');
+const { CPP_KEYWORDS, fontData, hexBytes, hexCodes } = require('./fontData');
+
+/**
+ * Цель arduino: те же массивы, что у raw, но во флеше (PROGMEM);
+ * читать их можно только через pgm_read_*, для этого в header есть функции name_read() и т.п.
+ * Скетчи Arduino — C++, поэтому имя проверяется по ключевым словам C++
+ */
+function render(glyphSet, { fileName, layout }) {
+    const data = fontData(glyphSet, layout);
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName, CPP_KEYWORDS);
+    const macro = name.toUpperCase();
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `#include <Arduino.h>\n\n`;
+
+    out += data.notes.map((line) => `// ${line}\n`).join('');
+    out += `// Data lives in flash (PROGMEM): read it with pgm_read_byte() or the helpers below\n`;
+
+    if (data.proportional) {
+        out += `#define ${macro}_HEIGHT ${data.height}\n`;
+        out += `#define ${macro}_BASELINE ${data.baseline}\n`;
+    } else {
+        out += `#define ${macro}_WIDTH ${data.width}\n`;
+        out += `#define ${macro}_HEIGHT ${data.height}\n`;
+        out += `#define ${macro}_GLYPH_SIZE ${data.glyphSize}\n`;
+    }
+    if (data.bpp > 1) out += `#define ${macro}_BPP ${data.bpp}\n`;
+    out += `\n`;
+
+    if (data.codes) out += makeCodeTable(name, macro, data.codes);
+
+    out += data.proportional ? makeProportional(name, data) : makeFixed(name, data);
+
+    out += `#endif // ${guard}\n`;
+
+    return out;
+}
+
+function makeFixed(name, data) {
+    let out = '';
+
+    out += `static const uint8_t ${name}[${data.count}][${data.glyphSize}] PROGMEM = {\n`;
+    data.glyphs.forEach((bytes, i) => {
+        out += `  {${hexBytes(bytes)}}, // ${data.labels[i]}\n`;
+    });
+    out += `};\n\n`;
+
+    out += `// Byte j of glyph i\n`;
+    out += `static inline uint8_t ${name}_read(uint16_t i, uint16_t j)\n`;
+    out += `{\n`;
+    out += `  return pgm_read_byte(&${name}[i][j]);\n`;
+    out += `}\n\n`;
+
+    return out;
+}
+
+function makeProportional(name, data) {
+    const size = data.bitmaps.length;
+
+    if (size > 0xffff) {
+        throw new FormatError('Bitmap data exceeds 64 KB, offsets do not fit uint16_t');
+    }
+
+    let out = '';
+
+    // тот же тип, что у raw: header обеих целей можно подключить вместе
+    out += `#ifndef FONT2HEADER_GLYPH_T\n`;
+    out += `#define FONT2HEADER_GLYPH_T\n`;
+    out += `// Same field order as GFXglyph; bitmap bits are packed MSB first,\n`;
+    out += `// continuous across rows, each glyph starts on a byte boundary\n`;
+    out += `typedef struct {\n`;
+    out += `  uint16_t offset;  // index into the bitmap array\n`;
+    out += `  uint8_t width;    // bitmap size in pixels\n`;
+    out += `  uint8_t height;\n`;
+    out += `  uint8_t advance;  // pen advance\n`;
+    out += `  int8_t xOffset;   // from the pen position on the baseline to the bitmap corner\n`;
+    out += `  int8_t yOffset;\n`;
+    out += `} font2header_glyph_t;\n`;
+    out += `#endif\n\n`;
+
+    out += `static const uint8_t ${name}_bitmaps[${Math.max(size, 1)}] PROGMEM = {\n`;
+    data.glyphs.forEach((g, i) => {
+        const end = i + 1 < data.count ? data.glyphs[i + 1].offset : size;
+        if (end > g.offset) {
+            out += `  ${hexBytes(data.bitmaps.slice(g.offset, end))}, // ${data.labels[i]}\n`;
+        }
+    });
+    if (!size) out += `  0x00,\n`;
+    out += `};\n\n`;
+
+    out += `// {offset, width, height, advance, xOffset, yOffset}\n`;
+    out += `static const font2header_glyph_t ${name}_glyphs[${data.count}] PROGMEM = {\n`;
+    data.glyphs.forEach((g, i) => {
+        const fields = [g.offset, g.width, g.height, g.advance, g.xOffset, g.yOffset];
+        out += `  {${fields.map((f) => String(f).padStart(5)).join(',')}}, // ${data.labels[i]}\n`;
+    });
+    out += `};\n\n`;
+
+    out += `// Descriptor of glyph i, copied out of flash\n`;
+    out += `static inline font2header_glyph_t ${name}_glyph(uint16_t i)\n`;
+    out += `{\n`;
+    out += `  font2header_glyph_t g;\n`;
+    out += `  memcpy_P(&g, &${name}_glyphs[i], sizeof g);\n`;
+    out += `  return g;\n`;
+    out += `}\n\n`;
+
+    out += `// Bitmap byte at offset (g.offset + n)\n`;
+    out += `static inline uint8_t ${name}_read(uint16_t offset)\n`;
+    out += `{\n`;
+    out += `  return pgm_read_byte(&${name}_bitmaps[offset]);\n`;
+    out += `}\n\n`;
+
+    return out;
+}
+
+/**
+ * Таблица кодов --range/--chars во флеше и чтение кода глифа i
+ */
+function makeCodeTable(name, macro, codes) {
+    const wide = codes[codes.length - 1] > 0xffff;
+    const type = wide ? 'uint32_t' : 'uint16_t';
+
+    let out = '';
+    out += `// Glyph i is code point ${name}_code(i); sorted ascending for binary search\n`;
+    out += `#define ${macro}_COUNT ${codes.length}\n`;
+    out += `static const ${type} ${name}_codes[${codes.length}] PROGMEM = {\n`;
+    out += hexCodes(codes, wide ? 6 : 4).map((row) => `  ${row},\n`).join('');
+    out += `};\n\n`;
+
+    out += `static inline ${type} ${name}_code(uint16_t i)\n`;
+    out += `{\n`;
+    out += `  return ${wide ? 'pgm_read_dword' : 'pgm_read_word'}(&${name}_codes[i]);\n`;
+    out += `}\n\n`;
+    return out;
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    extension: '.h',
+    label: 'Arduino header',
+    render,
+};
@@ -0,0 +1,97 @@
+const { fontData } = require('./fontData');
+
+// Цель bin: один двоичный файл — 32 байта заголовка с указателями, дальше таблицы и глифы.
+// Все числа little-endian, все таблицы выровнены на 4 байта.
+//
+//   0  char[4] magic "F2HB"
+//   4  u8  version (1)
+//   5  u8  flags: 1 — пропорциональный, 2 — есть таблица кодов
+//   6  u8  bpp
+//   7  u8  раскладка: 1 — column-major, 2 — LSB first (поворот уже применён)
+//   8  u8  ширина ячейки (0 у пропорционального)
+//   9  u8  высота ячейки / строки
+//  10  u8  строка базовой линии
+//  11  u8  0
+//  12  u16 count — число глифов
+//  14  u16 размер глифа (фиксированная ширина) или записи дескриптора (12)
+//  16  u32 смещение таблицы кодов: count × u32, коды Unicode по возрастанию; 0 — слоты кодировки
+//  20  u32 смещение глифов: count × размер глифа, или дескрипторов
+//          { u32 offset; u8 width, height, advance; i8 xOffset, yOffset; u8 0[3] }
+//  24  u32 смещение bitmap пропорционального (offset дескриптора — от него); 0 — нет
+//  28  u32 размер файла
+
+const MAGIC = 'F2HB';
+const HEADER_SIZE = 32;
+const DESCRIPTOR_SIZE = 12;
+
+function align4(n) {
+    return (n + 3) & ~3;
+}
+
+/**
+ * Возвращает Buffer с файлом .bin
+ */
+function render(glyphSet, { layout }) {
+    const data = fontData(glyphSet, layout);
+    const { count, codes, proportional } = data;
+
+    const recordSize = proportional ? DESCRIPTOR_SIZE : data.glyphSize;
+    const codesOffset = codes ? HEADER_SIZE : 0;
+    const glyphsOffset = HEADER_SIZE + (codes ? count * 4 : 0);
+    const bitmapsOffset = proportional ? align4(glyphsOffset + count * recordSize) : 0;
+    const size = align4(
+        proportional ? bitmapsOffset + data.bitmaps.length : glyphsOffset + count * recordSize
+    );
+
+    const out = Buffer.alloc(size);
+
+    out.write(MAGIC, 0, 'latin1');
+    out.writeUInt8(1, 4);
+    out.writeUInt8((proportional ? 1 : 0) | (codes ? 2 : 0), 5);
+    out.writeUInt8(data.bpp, 6);
+    if (!proportional) {
+        const { layout: order, bitOrder } = data.layout;
+        out.writeUInt8((order === 'column-major' ? 1 : 0) | (bitOrder === 'lsb' ? 2 : 0), 7);
+        out.writeUInt8(data.width, 8);
+    }
+    out.writeUInt8(data.height, 9);
+    out.writeUInt8(data.baseline, 10);
+    out.writeUInt16LE(count, 12);
+    out.writeUInt16LE(recordSize, 14);
+    out.writeUInt32LE(codesOffset, 16);
+    out.writeUInt32LE(glyphsOffset, 20);
+    out.writeUInt32LE(bitmapsOffset, 24);
+    out.writeUInt32LE(size, 28);
+
+    if (codes) {
+        codes.forEach((u, i) => out.writeUInt32LE(u, codesOffset + i * 4));
+    }
+
+    data.glyphs.forEach((g, i) => {
+        const at = glyphsOffset + i * recordSize;
+
+        if (!proportional) {
+            Buffer.from(g).copy(out, at);
+            return;
+        }
+
+        out.writeUInt32LE(g.offset, at);
+        out.writeUInt8(g.width, at + 4);
+        out.writeUInt8(g.height, at + 5);
+        out.writeUInt8(g.advance, at + 6);
+        out.writeInt8(g.xOffset, at + 7);
+        out.writeInt8(g.yOffset, at + 8);
+    });
+
+    if (proportional) Buffer.from(data.bitmaps).copy(out, bitmapsOffset);
+
+    return out;
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    extension: '.bin',
+    label: 'Binary font',
+    render,
+};
@@ -0,0 +1,114 @@
+const { makeIncludeGuard, makeSymbolName } = require('../utils/headerWriter');
+const { FormatError } = require('../errors');
+const { CPP_KEYWORDS, fontData, hexBytes, hexCodes } = require('./fontData');
+
+/**
+ * Цель cpp: constexpr-данные в namespace с именем шрифта
+ * (C++11: у constexpr в namespace внутреннее связывание, header можно подключать где угодно)
+ *
+ *   name::width, name::height, name::glyph_size, name::glyphs[count][glyph_size]
+ *   пропорциональный — name::bitmaps и name::glyphs[count] типа name::Glyph
+ */
+function render(glyphSet, { fileName, layout }) {
+    const data = fontData(glyphSet, layout);
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName, CPP_KEYWORDS);
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `#include <cstddef>\n`;
+    out += `#include <cstdint>\n\n`;
+
+    out += data.notes.map((line) => `// ${line}\n`).join('');
+    out += `\n`;
+    out += `namespace ${name} {\n\n`;
+
+    if (data.proportional) {
+        out += `constexpr int height = ${data.height};\n`;
+        out += `constexpr int baseline = ${data.baseline};\n`;
+    } else {
+        out += `constexpr int width = ${data.width};\n`;
+        out += `constexpr int height = ${data.height};\n`;
+    }
+    out += `constexpr int bpp = ${data.bpp};\n`;
+    out += `constexpr std::size_t count = ${data.count};\n`;
+
+    if (data.proportional) {
+        out += `\n`;
+        out += makeProportional(data);
+    } else {
+        out += `constexpr std::size_t glyph_size = ${data.glyphSize};\n\n`;
+        out += `constexpr std::uint8_t glyphs[count][glyph_size] = {\n`;
+        data.glyphs.forEach((bytes, i) => {
+            out += `  {${hexBytes(bytes)}}, // ${data.labels[i]}\n`;
+        });
+        out += `};\n`;
+    }
+
+    if (data.codes) {
+        const wide = data.codes[data.count - 1] > 0xffff;
+
+        out += `\n`;
+        out += `// Glyph i is code point codes[i]; sorted ascending for std::lower_bound\n`;
+        out += `constexpr std::${wide ? 'uint32_t' : 'uint16_t'} codes[count] = {\n`;
+        out += hexCodes(data.codes, wide ? 6 : 4).map((row) => `  ${row},\n`).join('');
+        out += `};\n`;
+    }
+
+    out += `\n`;
+    out += `} // namespace ${name}\n\n`;
+    out += `#endif // ${guard}\n`;
+
+    return out;
+}
+
+function makeProportional(data) {
+    const size = data.bitmaps.length;
+
+    if (size > 0xffff) {
+        throw new FormatError('Bitmap data exceeds 64 KB, offsets do not fit uint16_t');
+    }
+
+    let out = '';
+
+    out += `// Bitmap bits are packed MSB first, continuous across rows,\n`;
+    out += `// each glyph starts on a byte boundary at bitmaps[offset]\n`;
+    out += `struct Glyph {\n`;
+    out += `  std::uint16_t offset;\n`;
+    out += `  std::uint8_t width;\n`;
+    out += `  std::uint8_t height;\n`;
+    out += `  std::uint8_t advance;  // pen advance\n`;
+    out += `  std::int8_t xOffset;   // from the pen position on the baseline to the bitmap corner\n`;
+    out += `  std::int8_t yOffset;\n`;
+    out += `};\n\n`;
+
+    out += `constexpr std::uint8_t bitmaps[${Math.max(size, 1)}] = {\n`;
+    data.glyphs.forEach((g, i) => {
+        const end = i + 1 < data.count ? data.glyphs[i + 1].offset : size;
+        if (end > g.offset) {
+            out += `  ${hexBytes(data.bitmaps.slice(g.offset, end))}, // ${data.labels[i]}\n`;
+        }
+    });
+    if (!size) out += `  0x00,\n`;
+    out += `};\n\n`;
+
+    out += `// {offset, width, height, advance, xOffset, yOffset}\n`;
+    out += `constexpr Glyph glyphs[count] = {\n`;
+    data.glyphs.forEach((g, i) => {
+        const fields = [g.offset, g.width, g.height, g.advance, g.xOffset, g.yOffset];
+        out += `  {${fields.map((f) => String(f).padStart(5)).join(',')}}, // ${data.labels[i]}\n`;
+    });
+    out += `};\n`;
+
+    return out;
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    extension: '.hpp',
+    label: 'C++ header',
+    render,
+};
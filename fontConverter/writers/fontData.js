@@ -0,0 +1,110 @@
+// Общая часть языковых целей (--target): данные собственного формата raw
+// без синтаксиса C — каждый язык оформляет их сам (см. arduino.js, cpp.js, ...)
+
+const { makeLayout, describeLayout } = require('../utils/layout');
+const {
+    packBits,
+    makeLabel,
+    makeCodeLabel,
+    describeCharset,
+    describeDepth,
+} = require('../utils/headerWriter');
+const { packGlyphs } = require('./raw');
+
+// ключевые слова C++ (и C): имя массива или namespace не должно с ними совпадать
+const CPP_KEYWORDS = [
+    'alignas', 'alignof', 'and', 'asm', 'auto', 'bool', 'break', 'case', 'catch', 'char',
+    'class', 'const', 'constexpr', 'continue', 'decltype', 'default', 'delete', 'do',
+    'double', 'else', 'enum', 'explicit', 'export', 'extern', 'false', 'float', 'for',
+    'friend', 'goto', 'if', 'inline', 'int', 'long', 'mutable', 'namespace', 'new',
+    'noexcept', 'not', 'nullptr', 'operator', 'or', 'private', 'protected', 'public',
+    'register', 'restrict', 'return', 'short', 'signed', 'sizeof', 'static', 'struct',
+    'switch', 'template', 'this', 'throw', 'true', 'try', 'typedef', 'typename', 'union',
+    'unsigned', 'using', 'virtual', 'void', 'volatile', 'while', 'xor',
+];
+
+/**
+ * Данные набора глифов для вывода на любом языке
+ *
+ * Возвращает { proportional, width, height, baseline, bpp, count, codes, labels, notes, ... }:
+ * фиксированная ширина — glyphSize и glyphs (байты в раскладке layout),
+ * пропорциональный — bitmaps (непрерывный поток, как в raw) и glyphs
+ * { offset, width, height, advance, xOffset, yOffset };
+ * codes — коды Unicode набора --range/--chars или null, labels — подписи глифов,
+ * notes — строки шапки без символов комментария
+ */
+function fontData(glyphSet, layout = makeLayout()) {
+    const { baseline, encoding, bpp = 1, charset = null } = glyphSet;
+    const count = charset ? charset.length : 256;
+    const labels = [];
+
+    for (let i = 0; i < count; i++) {
+        labels.push(charset ? makeCodeLabel(charset[i]) : makeLabel(i, encoding.table));
+    }
+
+    const notes = ['Generated by font2header'];
+    const source = charset ? describeCharset(charset) : `Encoding: ${encoding.name}`;
+    const base = { bpp, baseline, count, codes: charset, labels, notes };
+
+    if (glyphSet.proportional) {
+        const bitmaps = [];
+        const glyphs = glyphSet.glyphs.map((g) => {
+            const offset = bitmaps.length;
+            bitmaps.push(...packBits(g.bytes, g.width, g.height, bpp));
+
+            const { width, height, advance, xOffset, yOffset } = g;
+            return { offset, width, height, advance, xOffset, yOffset };
+        });
+
+        notes.push(
+            `Proportional, line height ${glyphSet.height}, baseline row ${baseline}, ` +
+                `${bitmaps.length} bitmap bytes${describeDepth(bpp)}`,
+            source
+        );
+
+        return { ...base, proportional: true, height: glyphSet.height, bitmaps, glyphs };
+    }
+
+    // градации серого — построчно, как есть
+    const { width, height, data } = packGlyphs(glyphSet, layout);
+    const effective = bpp > 1 ? makeLayout() : layout;
+
+    notes.push(`${width}x${height}, ${describeLayout(effective)}${describeDepth(bpp)}`, source);
+
+    return {
+        ...base,
+        proportional: false,
+        width,
+        height,
+        layout: effective,
+        glyphSize: data[0].length,
+        glyphs: data,
+    };
+}
+
+/**
+ * "0x00, 0x3c, ..."
+ */
+function hexBytes(bytes) {
+    return bytes.map((b) => `0x${b.toString(16).padStart(2, '0')}`).join(', ');
+}
+
+/**
+ * Коды Unicode строками по 12, шестнадцатеричные той же ширины
+ */
+function hexCodes(codes, digits) {
+    const hex = codes.map((u) => `0x${u.toString(16).padStart(digits, '0')}`);
+    const rows = [];
+
+    for (let i = 0; i < hex.length; i += 12) {
+        rows.push(hex.slice(i, i + 12).join(', '));
+    }
+    return rows;
+}
+
+module.exports = {
+    CPP_KEYWORDS,
+    fontData,
+    hexBytes,
+    hexCodes,
+};
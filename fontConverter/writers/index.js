@@ -0,0 +1,68 @@
+// Форматы вывода: каждый writer получает один и тот же набор глифов
+// (см. buildGlyphSet в converter.js) и возвращает текст .h:
+// render(glyphSet, { fileName, layout, compress }), файлы пишет вызывающий;
+// depths — какие глубины (bpp) формат умеет хранить,
+// charset — умеет ли произвольный набор Unicode (--range/--chars) вместо 256 слотов.
+//
+// Цели (--target) — тот же формат raw на других языках: у них ещё extension и label,
+// moduleName — если имя файла становится именем модуля; bin возвращает Buffer
+
+const path = require('path');
+const { OptionError } = require('../errors');
+
+const WRITERS = {
+    raw: require('./raw'),
+    'adafruit-gfx': require('./adafruitGfx'),
+    u8g2: require('./u8g2'),
+    lvgl: require('./lvgl'),
+};
+
+// c — сам формат, остальные работают только с raw
+const TARGETS = {
+    c: null,
+    arduino: require('./arduino'),
+    cpp: require('./cpp'),
+    bin: require('./bin'),
+    micropython: require('./micropython'),
+    rust: require('./rust'),
+};
+
+function getWriter(format = 'raw', { bpp = 1, charset = false, target = 'c' } = {}) {
+    if (!Object.keys(TARGETS).includes(target)) {
+        throw new OptionError(`Target must be one of ${Object.keys(TARGETS).join(', ')}`);
+    }
+    if (target !== 'c' && format !== 'raw') {
+        throw new OptionError(`Target ${target} applies to the raw format, ${format} is C only`);
+    }
+
+    const writer = TARGETS[target] || WRITERS[format];
+    if (!writer) {
+        throw new OptionError(`Format must be one of ${Object.keys(WRITERS).join(', ')}`);
+    }
+    if (!writer.depths.includes(bpp)) {
+        throw new OptionError(`Format ${format} supports ${writer.depths.join(', ')} bpp`);
+    }
+    if (charset && !writer.charset) {
+        throw new OptionError(`Format ${format} needs a 256-slot encoding, not --range/--chars`);
+    }
+    return writer;
+}
+
+/**
+ * Путь выходного файла writer для out без расширения:
+ * расширение цели (по умолчанию .h), у модулей — имя, допустимое в языке
+ */
+function outputPath(out, writer) {
+    const extension = writer.extension || '.h';
+    const base = path.basename(out);
+    const name = writer.moduleName ? writer.moduleName(base + extension) : base;
+
+    return path.join(path.dirname(out), name + extension);
+}
+
+module.exports = {
+    WRITERS,
+    TARGETS,
+    getWriter,
+    outputPath,
+};
@@ -0,0 +1,176 @@
+const { makeIncludeGuard, makeSymbolName, packBits } = require('../utils/headerWriter');
+const { FormatError } = require('../errors');
+
+/**
+ * Шрифт LVGL (lv_font_fmt_txt, 1/2/4/8 bpp, без сжатия), как у lv_font_conv
+ * LVGL ищет глифы по Unicode, поэтому слоты переводятся через таблицу кодировки
+ */
+function render(glyphSet, { fileName }) {
+    const { height, baseline, encoding, bpp = 1 } = glyphSet;
+
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName);
+
+    // Unicode → глиф, по возрастанию кода; повторы слотов берутся один раз
+    const byUnicode = new Map();
+    const unicodes = glyphSet.charset || encoding.table;
+    glyphSet.glyphs.forEach((g, code) => {
+        const unicode = unicodes[code];
+        if (unicode < 0x20 || byUnicode.has(unicode)) return;
+        if (!g.width && !g.advance) return;
+        byUnicode.set(unicode, { ...g, code });
+    });
+
+    const list = [...byUnicode.entries()].sort((a, b) => a[0] - b[0]);
+
+    if (!list.length) {
+        throw new FormatError('Font has no glyphs');
+    }
+
+    const cmaps = splitCmaps(list.map(([u]) => u));
+
+    let bitmaps = '';
+    let dsc = '  {.bitmap_index = 0, .adv_w = 0, .box_w = 0, .box_h = 0, .ofs_x = 0, .ofs_y = 0} /* id = 0 reserved */,\n';
+    let offset = 0;
+
+    for (const [unicode, g] of list) {
+        const bytes = packBits(g.bytes, g.width, g.height, bpp);
+        const label = `U+${unicode.toString(16).padStart(4, '0').toUpperCase()} "${String.fromCodePoint(unicode)}"`;
+
+        if (bytes.length) {
+            const hex = bytes.map((b) => `0x${b.toString(16).padStart(2, '0')}`).join(', ');
+            bitmaps += `  /* ${label} */\n  ${hex},\n`;
+        }
+
+        // ofs_y — низ bitmap от базовой линии, вверх положительно
+        const ofsY = g.height ? -(g.yOffset + g.height) : 0;
+        dsc +=
+            `  {.bitmap_index = ${offset}, .adv_w = ${g.advance * 16}, ` +
+            `.box_w = ${g.width}, .box_h = ${g.height}, .ofs_x = ${g.xOffset}, .ofs_y = ${ofsY}},\n`;
+
+        offset += bytes.length;
+    }
+
+    const source = glyphSet.charset ? 'Unicode ranges' : encoding.name;
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+
+    out += `#ifdef LV_LVGL_H_INCLUDE_SIMPLE\n`;
+    out += `#include "lvgl.h"\n`;
+    out += `#else\n`;
+    out += `#include "lvgl/lvgl.h"\n`;
+    out += `#endif\n\n`;
+
+    out += `// Generated by font2header\n`;
+    out += `// LVGL font, ${bpp} bpp, line height ${height}, ${list.length} glyphs from ${source}\n\n`;
+
+    out += `static LV_ATTRIBUTE_LARGE_CONST const uint8_t ${name}_glyph_bitmap[] = {\n`;
+    out += offset ? bitmaps : '  0x00,\n';
+    out += `};\n\n`;
+
+    out += `static const lv_font_fmt_txt_glyph_dsc_t ${name}_glyph_dsc[] = {\n`;
+    out += dsc;
+    out += `};\n\n`;
+
+    cmaps.forEach((cmap, i) => {
+        const unicodeList = cmap.codes.map((u) => `0x${(u - cmap.start).toString(16)}`);
+
+        out += `static const uint16_t ${name}_unicode_list_${i}[] = {\n`;
+        for (let j = 0; j < unicodeList.length; j += 12) {
+            out += `  ${unicodeList.slice(j, j + 12).join(', ')},\n`;
+        }
+        out += `};\n\n`;
+    });
+
+    out += `static const lv_font_fmt_txt_cmap_t ${name}_cmaps[] = {\n`;
+    cmaps.forEach((cmap, i) => {
+        const length = cmap.codes[cmap.codes.length - 1] - cmap.start + 1;
+
+        out += `  {\n`;
+        out += `    .range_start = ${cmap.start}, .range_length = ${length}, .glyph_id_start = ${cmap.firstId},\n`;
+        out += `    .unicode_list = ${name}_unicode_list_${i}, .glyph_id_ofs_list = NULL, `;
+        out += `.list_length = ${cmap.codes.length},\n`;
+        out += `    .type = LV_FONT_FMT_TXT_CMAP_SPARSE_TINY\n`;
+        out += `  },\n`;
+    });
+    out += `};\n\n`;
+
+    out += `#if LVGL_VERSION_MAJOR == 8\n`;
+    out += `static lv_font_fmt_txt_glyph_cache_t ${name}_cache;\n`;
+    out += `#endif\n\n`;
+
+    out += `#if LVGL_VERSION_MAJOR >= 8\n`;
+    out += `static const lv_font_fmt_txt_dsc_t ${name}_dsc = {\n`;
+    out += `#else\n`;
+    out += `static lv_font_fmt_txt_dsc_t ${name}_dsc = {\n`;
+    out += `#endif\n`;
+    out += `  .glyph_bitmap = ${name}_glyph_bitmap,\n`;
+    out += `  .glyph_dsc = ${name}_glyph_dsc,\n`;
+    out += `  .cmaps = ${name}_cmaps,\n`;
+    out += `  .kern_dsc = NULL,\n`;
+    out += `  .kern_scale = 0,\n`;
+    out += `  .cmap_num = ${cmaps.length},\n`;
+    out += `  .bpp = ${bpp},\n`;
+    out += `  .kern_classes = 0,\n`;
+    out += `  .bitmap_format = 0,\n`;
+    out += `#if LVGL_VERSION_MAJOR == 8\n`;
+    out += `  .cache = &${name}_cache\n`;
+    out += `#endif\n`;
+    out += `};\n\n`;
+
+    out += `#if LVGL_VERSION_MAJOR >= 8\n`;
+    out += `static const lv_font_t ${name} = {\n`;
+    out += `#else\n`;
+    out += `static lv_font_t ${name} = {\n`;
+    out += `#endif\n`;
+    out += `  .get_glyph_dsc = lv_font_get_glyph_dsc_fmt_txt,\n`;
+    out += `  .get_glyph_bitmap = lv_font_get_bitmap_fmt_txt,\n`;
+    out += `  .line_height = ${height},\n`;
+    out += `  .base_line = ${height - baseline}, /* from the bottom of the line */\n`;
+    out += `#if !(LVGL_VERSION_MAJOR == 6 && LVGL_VERSION_MINOR == 0)\n`;
+    out += `  .subpx = LV_FONT_SUBPX_NONE,\n`;
+    out += `#endif\n`;
+    out += `#if LV_VERSION_CHECK(7, 4, 0) || LVGL_VERSION_MAJOR >= 8\n`;
+    out += `  .underline_position = -1,\n`;
+    out += `  .underline_thickness = 1,\n`;
+    out += `#endif\n`;
+    out += `  .dsc = &${name}_dsc,\n`;
+    out += `#if LV_VERSION_CHECK(8, 2, 0) || LVGL_VERSION_MAJOR >= 9\n`;
+    out += `  .fallback = NULL,\n`;
+    out += `#endif\n`;
+    out += `  .user_data = NULL,\n`;
+    out += `};\n\n`;
+
+    out += `#endif // ${guard}\n`;
+
+    return out;
+}
+
+/**
+ * Делит отсортированные коды на cmap: в SPARSE_TINY смещение от range_start — uint16
+ */
+function splitCmaps(codes) {
+    const cmaps = [];
+
+    codes.forEach((u, i) => {
+        const last = cmaps[cmaps.length - 1];
+
+        if (last && u - last.start <= 0xffff) {
+            last.codes.push(u);
+        } else {
+            // id 0 зарезервирован, глифы нумеруются с 1
+            cmaps.push({ start: u, firstId: i + 1, codes: [u] });
+        }
+    });
+
+    return cmaps;
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    render,
+};
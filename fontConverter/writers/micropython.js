@@ -0,0 +1,123 @@
+const { makeSymbolName } = require('../utils/headerWriter');
+const { fontData, hexCodes } = require('./fontData');
+
+// имя модуля — имя файла, иначе его не импортировать
+const PY_KEYWORDS = [
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class',
+    'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global',
+    'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise',
+    'return', 'try', 'while', 'with', 'yield',
+];
+
+/**
+ * Цель micropython: модуль .py с данными в bytes
+ * (во freeze-модуле bytes остаются во флеше, в RAM попадает только ссылка)
+ *
+ *   import font
+ *   font.glyph(i) → memoryview на font.GLYPH_SIZE байт
+ *   пропорциональный: font.glyph(i) → (offset, width, height, advance, x_offset, y_offset),
+ *   биты глифа — font.BITMAPS[offset:]
+ */
+function render(glyphSet, { layout }) {
+    const data = fontData(glyphSet, layout);
+
+    let out = '';
+
+    out += data.notes.map((line) => `# ${line}\n`).join('');
+    out += `\n`;
+
+    if (data.proportional) {
+        out += `import struct\n\n`;
+        out += `HEIGHT = ${data.height}\n`;
+        out += `BASELINE = ${data.baseline}\n`;
+    } else {
+        out += `WIDTH = ${data.width}\n`;
+        out += `HEIGHT = ${data.height}\n`;
+    }
+    out += `BPP = ${data.bpp}\n`;
+    out += `COUNT = ${data.count}\n`;
+
+    if (data.proportional) {
+        out += `\n`;
+        out += makeProportional(data);
+    } else {
+        out += `GLYPH_SIZE = ${data.glyphSize}\n\n`;
+        out += `GLYPHS = (\n`;
+        data.glyphs.forEach((bytes, i) => {
+            out += `    b'${escapeBytes(bytes)}'  # ${data.labels[i]}\n`;
+        });
+        out += `)\n\n\n`;
+
+        out += `def glyph(i):\n`;
+        out += `    return memoryview(GLYPHS)[i * GLYPH_SIZE:(i + 1) * GLYPH_SIZE]\n`;
+    }
+
+    if (data.codes) {
+        out += `\n\n`;
+        out += `# Glyph i is code point CODES[i]; sorted ascending\n`;
+        out += `CODES = (\n`;
+        out += hexCodes(data.codes, 4).map((row) => `    ${row},\n`).join('');
+        out += `)\n`;
+    }
+
+    return out;
+}
+
+function makeProportional(data) {
+    let out = '';
+
+    out += `# Bits are packed MSB first, continuous across rows, each glyph starts on a byte\n`;
+    out += `BITMAPS = (\n`;
+    data.glyphs.forEach((g, i) => {
+        const end = i + 1 < data.count ? data.glyphs[i + 1].offset : data.bitmaps.length;
+        if (end > g.offset) {
+            const bytes = escapeBytes(data.bitmaps.slice(g.offset, end));
+            out += `    b'${bytes}'  # ${data.labels[i]}\n`;
+        }
+    });
+    if (!data.bitmaps.length) out += `    b''\n`;
+    out += `)\n\n`;
+
+    // запись дескриптора — как struct '<IBBBbb', 9 байт
+    out += `# 9 bytes per glyph: offset, width, height, advance, x_offset, y_offset\n`;
+    out += `GLYPHS = (\n`;
+    data.glyphs.forEach((g, i) => {
+        const record = Buffer.alloc(9);
+        record.writeUInt32LE(g.offset, 0);
+        record.writeUInt8(g.width, 4);
+        record.writeUInt8(g.height, 5);
+        record.writeUInt8(g.advance, 6);
+        record.writeInt8(g.xOffset, 7);
+        record.writeInt8(g.yOffset, 8);
+        out += `    b'${escapeBytes([...record])}'  # ${data.labels[i]}\n`;
+    });
+    out += `)\n\n\n`;
+
+    out += `def glyph(i):\n`;
+    out += `    return struct.unpack_from('<IBBBbb', GLYPHS, i * 9)\n`;
+
+    return out;
+}
+
+/**
+ * Байты для литерала b'...': каждый как \xNN
+ */
+function escapeBytes(bytes) {
+    return bytes.map((b) => `\\x${b.toString(16).padStart(2, '0')}`).join('');
+}
+
+/**
+ * Имя модуля (и файла без .py) из имени файла: Python-идентификатор
+ */
+function moduleName(fileName) {
+    return makeSymbolName(fileName, PY_KEYWORDS);
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    extension: '.py',
+    label: 'MicroPython module',
+    render,
+    moduleName,
+};
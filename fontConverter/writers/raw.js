@@ -0,0 +1,108 @@
+const path = require('path');
+const {
+    makeHeader,
+    makeProportionalHeader,
+    describeCompression,
+    makeSymbolName,
+} = require('../utils/headerWriter');
+const { makeLayout, applyLayout } = require('../utils/layout');
+const { runHostProgram } = require('../utils/hostCompiler');
+const { OptionError } = require('../errors');
+
+/**
+ * Собственный формат font2header: uint8_t name[256][N]
+ * либо bitmap + таблица дескрипторов для пропорционального шрифта;
+ * для набора --range/--chars — [count][N] и таблица кодов name_codes.
+ * compress — глифы сжаты RLE, в header распаковщик name_decode()
+ */
+function render(glyphSet, { fileName, layout = makeLayout(), compress = false }) {
+    const { baseline, encoding, bpp = 1, charset = null } = glyphSet;
+
+    if (glyphSet.proportional) {
+        if (compress) {
+            throw new OptionError(
+                'Compression applies to fixed-width fonts, proportional glyphs are trimmed'
+            );
+        }
+        return makeProportionalHeader(fileName, glyphSet.glyphs, {
+            height: glyphSet.height,
+            baseline,
+            encoding,
+            bpp,
+            charset,
+        });
+    }
+
+    const { width, height, data } = packGlyphs(glyphSet, layout);
+
+    // градации серого — построчно, как есть
+    return makeHeader(fileName, data, {
+        width,
+        height,
+        encoding,
+        layout: bpp > 1 ? makeLayout() : layout,
+        bpp,
+        charset,
+        compress,
+    });
+}
+
+/**
+ * Байты глифов в том виде, в каком они уходят в header: { width, height, data }
+ */
+function packGlyphs(glyphSet, layout) {
+    const { width, height, bpp = 1 } = glyphSet;
+
+    if (bpp > 1) return { width, height, data: glyphSet.cells };
+    return applyLayout(glyphSet.cells, width, height, layout);
+}
+
+/**
+ * Степень сжатия --compress для отчёта: "RLE: 2048 -> 1190 bytes (...)"
+ */
+function compressionSummary(glyphSet, { layout = makeLayout() } = {}) {
+    const { data } = packGlyphs(glyphSet, layout);
+    return describeCompression(data, data[0].length);
+}
+
+/**
+ * Сверка сжатого header: name_decode() собирается хостовым gcc,
+ * распаковывает все глифы, результат сравнивается с исходными байтами.
+ * Возвращает номера глифов, которые распаковались не так
+ */
+function checkDecoder(outPath, glyphSet, { layout = makeLayout() } = {}) {
+    const name = makeSymbolName(outPath);
+    const { data } = packGlyphs(glyphSet, layout);
+    const glyphSize = data[0].length;
+
+    let main = '';
+    main += `#include <stdio.h>\n`;
+    main += `#include "${path.basename(outPath)}"\n\n`;
+    main += `int main(void)\n{\n`;
+    main += `  uint8_t glyph[${glyphSize}];\n`;
+    main += `  uint16_t i;\n\n`;
+    main += `  for (i = 0; i < ${data.length}; i++) {\n`;
+    main += `    ${name}_decode(i, glyph);\n`;
+    main += `    if (fwrite(glyph, 1, sizeof glyph, stdout) != sizeof glyph) return 2;\n`;
+    main += `  }\n`;
+    main += `  return 0;\n`;
+    main += `}\n`;
+
+    const { stdout } = runHostProgram(main, { includeDirs: [path.dirname(path.resolve(outPath))] });
+    const failed = [];
+
+    data.forEach((bytes, i) => {
+        if (bytes.some((b, j) => stdout[i * glyphSize + j] !== b)) failed.push(i);
+    });
+
+    return failed;
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    render,
+    packGlyphs,
+    compressionSummary,
+    checkDecoder,
+};
@@ -0,0 +1,123 @@
+const { makeSymbolName } = require('../utils/headerWriter');
+const { fontData, hexBytes, hexCodes } = require('./fontData');
+
+// модуль называется по файлу: snake_case и не ключевое слово
+const RUST_KEYWORDS = [
+    'as', 'async', 'await', 'box', 'break', 'const', 'continue', 'crate', 'dyn', 'else',
+    'enum', 'extern', 'false', 'fn', 'for', 'gen', 'if', 'impl', 'in', 'let', 'loop',
+    'match', 'mod', 'move', 'mut', 'priv', 'pub', 'ref', 'return', 'self', 'static',
+    'struct', 'super', 'trait', 'true', 'try', 'type', 'typeof', 'unsafe', 'use', 'where',
+    'while', 'yield',
+];
+
+/**
+ * Цель rust: модуль .rs со static-массивами (mod font; → font::GLYPHS)
+ *
+ *   WIDTH, HEIGHT, GLYPH_SIZE, COUNT, GLYPHS: [[u8; GLYPH_SIZE]; COUNT]
+ *   пропорциональный — BITMAPS и GLYPHS: [Glyph; COUNT]
+ *   набор --range/--chars — CODES и index(code) → Option<usize>
+ */
+function render(glyphSet, { layout }) {
+    const data = fontData(glyphSet, layout);
+
+    let out = '';
+
+    out += data.notes.map((line) => `// ${line}\n`).join('');
+    out += `\n`;
+    // не все константы нужны каждой программе
+    out += `#![allow(dead_code)]\n\n`;
+
+    if (data.proportional) {
+        out += `pub const HEIGHT: usize = ${data.height};\n`;
+        out += `pub const BASELINE: usize = ${data.baseline};\n`;
+    } else {
+        out += `pub const WIDTH: usize = ${data.width};\n`;
+        out += `pub const HEIGHT: usize = ${data.height};\n`;
+    }
+    out += `pub const BPP: u8 = ${data.bpp};\n`;
+    out += `pub const COUNT: usize = ${data.count};\n`;
+
+    if (data.proportional) {
+        out += `\n`;
+        out += makeProportional(data);
+    } else {
+        out += `pub const GLYPH_SIZE: usize = ${data.glyphSize};\n\n`;
+        out += `pub static GLYPHS: [[u8; GLYPH_SIZE]; COUNT] = [\n`;
+        data.glyphs.forEach((bytes, i) => {
+            out += `    [${hexBytes(bytes)}], // ${data.labels[i]}\n`;
+        });
+        out += `];\n`;
+    }
+
+    if (data.codes) {
+        out += `\n`;
+        out += `// Glyph i is code point CODES[i]; sorted ascending\n`;
+        out += `pub static CODES: [u32; COUNT] = [\n`;
+        out += hexCodes(data.codes, 4).map((row) => `    ${row},\n`).join('');
+        out += `];\n\n`;
+
+        out += `pub fn index(code: u32) -> Option<usize> {\n`;
+        out += `    CODES.binary_search(&code).ok()\n`;
+        out += `}\n`;
+    }
+
+    return out;
+}
+
+function makeProportional(data) {
+    const size = data.bitmaps.length;
+
+    let out = '';
+
+    out += `// Bitmap bits are packed MSB first, continuous across rows,\n`;
+    out += `// each glyph starts on a byte boundary at BITMAPS[offset]\n`;
+    out += `#[derive(Clone, Copy, Debug)]\n`;
+    out += `pub struct Glyph {\n`;
+    out += `    pub offset: u32,\n`;
+    out += `    pub width: u8,\n`;
+    out += `    pub height: u8,\n`;
+    out += `    pub advance: u8,  // pen advance\n`;
+    out += `    pub x_offset: i8, // from the pen position on the baseline to the bitmap corner\n`;
+    out += `    pub y_offset: i8,\n`;
+    out += `}\n\n`;
+
+    out += `const fn g(offset: u32, width: u8, height: u8, advance: u8, x: i8, y: i8) -> Glyph {\n`;
+    out += `    Glyph { offset, width, height, advance, x_offset: x, y_offset: y }\n`;
+    out += `}\n\n`;
+
+    out += `pub static BITMAPS: [u8; ${size}] = [\n`;
+    data.glyphs.forEach((g, i) => {
+        const end = i + 1 < data.count ? data.glyphs[i + 1].offset : size;
+        if (end > g.offset) {
+            out += `    ${hexBytes(data.bitmaps.slice(g.offset, end))}, // ${data.labels[i]}\n`;
+        }
+    });
+    out += `];\n\n`;
+
+    out += `// g(offset, width, height, advance, x_offset, y_offset)\n`;
+    out += `pub static GLYPHS: [Glyph; COUNT] = [\n`;
+    data.glyphs.forEach((g, i) => {
+        const fields = [g.offset, g.width, g.height, g.advance, g.xOffset, g.yOffset];
+        const args = fields.map((f) => String(f).padStart(5)).join(',');
+        out += `    g(${args}), // ${data.labels[i]}\n`;
+    });
+    out += `];\n`;
+
+    return out;
+}
+
+/**
+ * Имя модуля (и файла без .rs) из имени файла: snake_case
+ */
+function moduleName(fileName) {
+    return makeSymbolName(fileName.toLowerCase(), RUST_KEYWORDS);
+}
+
+module.exports = {
+    depths: [1, 2, 4, 8],
+    charset: true,
+    extension: '.rs',
+    label: 'Rust module',
+    render,
+    moduleName,
+};
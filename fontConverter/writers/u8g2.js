@@ -0,0 +1,235 @@
+const { getPixel } = require('../utils/bitmap');
+const { makeIncludeGuard, makeSymbolName } = require('../utils/headerWriter');
+const { FormatError } = require('../errors');
+
+// Формат шрифтов u8g2 (как у bdfconv):
+// 23 байта заголовка, затем глифы по возрастанию кода:
+//   uint8 encoding, uint8 размер записи, битовый поток (LSB first):
+//   width, height, x, y, delta_x, далее RLE пар (нули, единицы) + биты повтора.
+// y — низ bitmap относительно базовой линии (вверх положительно).
+
+/**
+ * Запись битов младшим битом вперёд, как читает u8g2_font_decode_get_unsigned_bits()
+ */
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bit = 0;
+    }
+
+    write(value, count) {
+        for (let i = 0; i < count; i++) {
+            if (this.bit === 0) this.bytes.push(0);
+            if ((value >> i) & 1) {
+                this.bytes[this.bytes.length - 1] |= 1 << this.bit;
+            }
+            this.bit = (this.bit + 1) & 7;
+        }
+    }
+
+    writeSigned(value, count) {
+        this.write(value + (1 << (count - 1)), count);
+    }
+}
+
+function unsignedBits(max) {
+    let bits = 1;
+    while (max >= 1 << bits) bits++;
+    return bits;
+}
+
+function signedBits(min, max) {
+    let bits = 1;
+    while (min < -(1 << (bits - 1)) || max > (1 << (bits - 1)) - 1) bits++;
+    return bits;
+}
+
+/**
+ * Пары (нули, единицы) для пикселей глифа, длины не больше 2^m - 1
+ */
+function rlePairs(g, m0, m1) {
+    const max0 = (1 << m0) - 1;
+    const max1 = (1 << m1) - 1;
+    const total = g.width * g.height;
+    const pairs = [];
+
+    let i = 0;
+    const pixel = (n) => getPixel(g.bytes, g.width, n % g.width, Math.floor(n / g.width));
+
+    while (i < total) {
+        let a = 0;
+        let b = 0;
+        while (i < total && !pixel(i) && a < max0) {
+            a++;
+            i++;
+        }
+        while (i < total && pixel(i) && b < max1) {
+            b++;
+            i++;
+        }
+        pairs.push([a, b]);
+    }
+
+    return pairs;
+}
+
+function encodeGlyph(g, bits) {
+    const w = new BitWriter();
+
+    w.write(g.width, bits.width);
+    w.write(g.height, bits.height);
+    w.writeSigned(g.xOffset, bits.x);
+    w.writeSigned(g.bottom, bits.y);
+    w.writeSigned(g.advance, bits.dx);
+
+    if (g.width > 0) {
+        const pairs = rlePairs(g, bits.m0, bits.m1);
+
+        for (let i = 0; i < pairs.length; ) {
+            const [a, b] = pairs[i];
+            w.write(a, bits.m0);
+            w.write(b, bits.m1);
+
+            // одинаковые пары подряд — бит повтора 1, конец серии — 0
+            let j = i + 1;
+            while (j < pairs.length && pairs[j][0] === a && pairs[j][1] === b) {
+                w.write(1, 1);
+                j++;
+            }
+            w.write(0, 1);
+            i = j;
+        }
+    }
+
+    return w.bytes;
+}
+
+/**
+ * Шрифт u8g2 (bbx_mode 0, proportional); коды — байты кодовой страницы
+ */
+function render(glyphSet, { fileName }) {
+    const { encoding } = glyphSet;
+
+    const guard = makeIncludeGuard(fileName);
+    const name = makeSymbolName(fileName);
+
+    const glyphs = [];
+    glyphSet.glyphs.forEach((g, code) => {
+        if (code === 0 || (!g.width && !g.advance)) return;
+        // пустой bitmap в u8g2 — нулевые width/height
+        const w = g.height ? g.width : 0;
+        const h = w ? g.height : 0;
+        glyphs.push({ ...g, code, width: w, height: h, bottom: -(g.yOffset + h) });
+    });
+
+    if (!glyphs.length || glyphs.length > 255) {
+        throw new FormatError('u8g2 font must have 1..255 glyphs');
+    }
+
+    const max = (key) => Math.max(...glyphs.map((g) => g[key]));
+    const min = (key) => Math.min(...glyphs.map((g) => g[key]));
+
+    const bits = {
+        width: unsignedBits(max('width')),
+        height: unsignedBits(max('height')),
+        x: signedBits(min('xOffset'), max('xOffset')),
+        y: signedBits(min('bottom'), max('bottom')),
+        dx: signedBits(min('advance'), max('advance')),
+    };
+
+    // подбираем разрядность RLE с минимальным итоговым размером
+    let best = null;
+    for (let m0 = 2; m0 <= 8; m0++) {
+        for (let m1 = 2; m1 <= 8; m1++) {
+            const data = glyphs.map((g) => encodeGlyph(g, { ...bits, m0, m1 }));
+            const size = data.reduce((n, d) => n + d.length + 2, 0);
+            if (!best || size < best.size) best = { m0, m1, data, size };
+        }
+    }
+
+    const body = [];
+    let startA = null;
+    let startLowerA = null;
+
+    glyphs.forEach((g, i) => {
+        const data = best.data[i];
+        if (data.length + 2 > 255) {
+            throw new FormatError(`Glyph 0x${g.code.toString(16)} is too large for u8g2`);
+        }
+        if (startA === null && g.code >= 0x41) startA = body.length;
+        if (startLowerA === null && g.code >= 0x61) startLowerA = body.length;
+        body.push(g.code, data.length + 2, ...data);
+    });
+
+    // конец 8-битного списка + пустая таблица unicode
+    const endOfList = body.length;
+    body.push(0x00, 0x00);
+    const startUnicode = body.length;
+    body.push(0x00, 0x04, 0xff, 0xff, 0x00, 0x00);
+
+    if (startA === null) startA = endOfList;
+    if (startLowerA === null) startLowerA = endOfList;
+
+    const byCode = (code) => glyphs.find((g) => g.code === code);
+    const top = (g) => (g ? g.bottom + g.height : 0);
+    const s8 = (v) => v & 0xff;
+
+    const header = [
+        glyphs.length,
+        0, // bbx_mode: proportional
+        best.m0,
+        best.m1,
+        bits.width,
+        bits.height,
+        bits.x,
+        bits.y,
+        bits.dx,
+        max('width'),
+        max('height'),
+        s8(min('xOffset')),
+        s8(min('bottom')),
+        s8(top(byCode(0x41))), // ascent 'A'
+        s8(byCode(0x67) ? byCode(0x67).bottom : 0), // descent 'g'
+        s8(top(byCode(0x28))), // ascent '('
+        s8(byCode(0x29) ? byCode(0x29).bottom : 0), // descent ')'
+        startA >> 8,
+        startA & 0xff,
+        startLowerA >> 8,
+        startLowerA & 0xff,
+        startUnicode >> 8,
+        startUnicode & 0xff,
+    ];
+
+    const font = header.concat(body);
+
+    let out = '';
+
+    out += `#ifndef ${guard}\n`;
+    out += `#define ${guard}\n\n`;
+    out += `#include <stdint.h>\n\n`;
+
+    out += `// Generated by font2header\n`;
+    out += `// u8g2 font, encoding ${encoding.name}, ${glyphs.length} glyphs, ${font.length} bytes\n`;
+    out += `// Include after u8g2.h / U8g2lib.h, use with setFont(${name})\n\n`;
+
+    out += `#ifndef U8G2_FONT_SECTION\n`;
+    out += `#define U8G2_FONT_SECTION(name)\n`;
+    out += `#endif\n\n`;
+
+    out += `static const uint8_t ${name}[${font.length}] U8G2_FONT_SECTION("${name}") = {\n`;
+    for (let i = 0; i < font.length; i += 16) {
+        const row = font.slice(i, i + 16);
+        out += `  ${row.map((b) => `0x${b.toString(16).padStart(2, '0')}`).join(', ')},\n`;
+    }
+    out += `};\n\n`;
+
+    out += `#endif // ${guard}\n`;
+
+    return out;
+}
+
+module.exports = {
+    depths: [1],
+    charset: false,
+    render,
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { writeBdf, tempDir, noCanvas } = require('./helpers');
+
+// Программный API (index.js): ошибки — классы errors.js с текстом без синтаксиса
+// командной строки; USAGE и --флаги остаются у cli.js
+
+const skip = noCanvas();
+
+const INVALID = [
+    [{ width: 'abc' }, /^Width must be between 4 and 32$/],
+    [{ height: 64 }, /^Height must be between 4 and 32$/],
+    [{ bpp: 3 }, /^Bpp must be one of/],
+    [{ align: 'right' }, /^Align must be left or center$/],
+    [{ baseline: 40 }, /^Baseline must be a row/],
+    [{ encoding: 'cp000' }, /^Unknown encoding/],
+    [{ range: '0x7E-0x20' }, /is reversed/],
+    [{ transform: 'bold', proportional: true }, /not proportional glyphs/],
+];
+
+test('rasterizeFont reports plain option errors', { skip }, (t) => {
+    const { rasterizeFont, OptionError } = require('../fontConverter');
+    const font = writeBdf(tempDir(t));
+
+    for (const [options, message] of INVALID) {
+        assert.throws(
+            () => rasterizeFont(font, options),
+            (e) => {
+                assert.ok(e instanceof OptionError, e.message);
+                assert.strictEqual(e.code, 'ERR_OPTION');
+                assert.match(e.message, message);
+                assert.doesNotMatch(e.message, /--|Usage/);
+                return true;
+            }
+        );
+    }
+});
+
+test('rasterizeFont reports unreadable fonts as SourceError', { skip }, (t) => {
+    const { rasterizeFont, SourceError } = require('../fontConverter');
+    const missing = path.join(tempDir(t), 'missing.bdf');
+
+    assert.throws(() => rasterizeFont(missing), SourceError);
+});
+
+test('command line keeps its usage text', { skip }, () => {
+    const { resolveJob, USAGE } = require('../fontConverter/job');
+
+    assert.throws(() => resolveJob({}), { message: USAGE });
+    assert.throws(() => resolveJob({ 'from-png': 'a.png', proportional: true }), /--from-png/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, noCompiler } = require('./helpers');
+const { loadEncoding } = require('../fontConverter/encodings');
+const { getWriter } = require('../fontConverter/writers');
+const { runHostProgram } = require('../fontConverter/utils/hostCompiler');
+
+// Имена массивов и макросов формата raw берутся из имени файла через makeSymbolName:
+// header с именем вроде 8x8-font.h должен собираться gcc
+
+const skip = noCompiler();
+
+// имя файла → имя символа C
+const NAMES = [
+    ['8x8-font', '_8x8_font'],
+    ['my-font.v2', 'my_font_v2'],
+];
+
+function glyphSet(options = {}) {
+    const cells = Array.from({ length: 256 }, (_, i) => Array.from({ length: 8 }, (_, y) => i ^ y));
+
+    return {
+        width: 8,
+        height: 8,
+        baseline: 6,
+        encoding: loadEncoding(),
+        bpp: 1,
+        charset: null,
+        proportional: false,
+        cells,
+        glyphs: cells.map((bytes) => ({
+            bytes,
+            width: 8,
+            height: 8,
+            advance: 8,
+            xOffset: 0,
+            yOffset: -6,
+        })),
+        clipped: [],
+        ...options,
+    };
+}
+
+/**
+ * Пишет header writer raw под именем file.h и собирает main, который его включает
+ * Возвращает stdout программы
+ */
+function compile(dir, file, set, body, renderOptions = {}) {
+    const writer = getWriter('raw', { charset: Boolean(set.charset) });
+    const fileName = `${file}.h`;
+
+    fs.writeFileSync(path.join(dir, fileName), writer.render(set, { fileName, ...renderOptions }));
+
+    let main = '';
+    main += `#include <stdio.h>\n`;
+    main += `#include "${fileName}"\n\n`;
+    main += `int main(void)\n{\n${body}  return 0;\n}\n`;
+
+    return runHostProgram(main, { includeDirs: [dir] }).stdout.toString('utf8');
+}
+
+for (const [file, name] of NAMES) {
+    const macro = name.toUpperCase();
+
+    test(`${file}.h: fixed-width arrays and macros compile`, { skip }, (t) => {
+        const body =
+            `  printf("%d %d %u\\n", ${macro}_WIDTH, ${macro}_HEIGHT, ` +
+            `(unsigned)sizeof ${name});\n`;
+
+        assert.strictEqual(compile(tempDir(t), file, glyphSet(), body), '8 8 2048\n');
+    });
+
+    test(`${file}.h: code table compiles`, { skip }, (t) => {
+        const set = glyphSet({ charset: [0x41, 0x42, 0x410] });
+        set.cells = set.cells.slice(0, 3);
+
+        const body = `  printf("%d %u\\n", ${macro}_COUNT, (unsigned)${name}_codes[2]);\n`;
+
+        assert.strictEqual(compile(tempDir(t), file, set, body), '3 1040\n');
+    });
+
+    test(`${file}.h: proportional tables compile`, { skip }, (t) => {
+        const set = glyphSet({ proportional: true, cells: null });
+        const body =
+            `  printf("%d %u\\n", ${macro}_HEIGHT, ` +
+            `(unsigned)(sizeof ${name}_glyphs / sizeof ${name}_glyphs[0]));\n`;
+
+        assert.strictEqual(compile(tempDir(t), file, set, body), '8 256\n');
+    });
+
+    test(`${file}.h: compressed decoder compiles and decodes`, { skip }, (t) => {
+        const dir = tempDir(t);
+        const set = glyphSet();
+        const writer = getWriter('raw');
+        const body = `  printf("%d\\n", ${macro}_GLYPH_SIZE);\n  (void)${name}_decode;\n`;
+
+        assert.strictEqual(compile(dir, file, set, body, { compress: true }), '8\n');
+        assert.deepStrictEqual(writer.checkDecoder(path.join(dir, `${file}.h`), set), []);
+    });
+}
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { writeBdf, tempDir, noCompiler, noCanvas } = require('./helpers');
+const { runHostProgram } = require('../fontConverter/utils/hostCompiler');
+
+// C API (--c-api) против PNG-превью: font_render.c, собранный хостовым компилятором,
+// должен нарисовать каждый глиф так же, как лист превью, и измерить строку так же
+
+const skip = noCompiler() || noCanvas();
+
+const CASES = [
+    ['monospaced', {}],
+    ['proportional', { proportional: true }],
+    ['range', { range: '0x20-0x7E,0x410-0x44F' }],
+    ['range, proportional', { range: '0x20-0x7E,0x410-0x44F', proportional: true }],
+    ['2 bpp', { bpp: 2 }],
+    ['4 bpp', { bpp: 4 }],
+    ['4 bpp, proportional', { bpp: 4, proportional: true }],
+];
+
+for (const [name, options] of CASES) {
+    test(`C API draws like the preview: ${name}`, { skip }, async (t) => {
+        const { rasterizeFont, toHeader, toPNG } = require('../fontConverter');
+        const { writeRenderModule, checkRenderModule } = require('../fontConverter/capi');
+
+        const dir = tempDir(t);
+        const glyphSet = rasterizeFont(writeBdf(dir), options);
+        const headerPath = path.join(dir, 'fixture.h');
+        const pngPath = path.join(dir, 'fixture.png');
+
+        fs.writeFileSync(headerPath, toHeader(glyphSet, { name: 'fixture' }), 'utf8');
+        fs.writeFileSync(pngPath, toPNG(glyphSet, { scale: 2 }));
+
+        const fontPath = writeRenderModule(headerPath, glyphSet);
+        const result = await checkRenderModule(fontPath, pngPath, glyphSet, { scale: 2 });
+
+        assert.ok(result.pixels > 0);
+        assert.deepStrictEqual(result.mismatches, []);
+        assert.strictEqual(result.width, result.expectedWidth);
+    });
+}
+
+test('C API builds for a file name that is not a C identifier', { skip }, async (t) => {
+    const { rasterizeFont, toPNG } = require('../fontConverter');
+    const { getWriter } = require('../fontConverter/writers');
+    const { writeRenderModule, checkRenderModule } = require('../fontConverter/capi');
+
+    const dir = tempDir(t);
+    const glyphSet = rasterizeFont(writeBdf(dir));
+    const headerPath = path.join(dir, '8x8-font.h');
+    const pngPath = path.join(dir, '8x8-font.png');
+    const header = getWriter('raw').render(glyphSet, { fileName: '8x8-font.h' });
+
+    fs.writeFileSync(headerPath, header, 'utf8');
+    fs.writeFileSync(pngPath, toPNG(glyphSet));
+
+    const fontPath = writeRenderModule(headerPath, glyphSet);
+    const result = await checkRenderModule(fontPath, pngPath, glyphSet);
+
+    assert.strictEqual(path.basename(fontPath), '8x8-font_font.h');
+    assert.match(fs.readFileSync(fontPath, 'utf8'), /static const font_t _8x8_font_font = /);
+    assert.deepStrictEqual(result.mismatches, []);
+});
+
+test('runHostProgram returns the program output', { skip: noCompiler() }, () => {
+    const source = '#include <stdio.h>\nint main(void) { fputs("ok", stdout); return 0; }\n';
+    const { stdout } = runHostProgram(source);
+
+    assert.strictEqual(stdout.toString('utf8'), 'ok');
+});
+
+test('runHostProgram reports build errors', { skip: noCompiler() }, () => {
+    assert.throws(() => runHostProgram('int main(void) { return x; }\n'), /failed:/);
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Общее для тестов: небольшой BDF-шрифт, GIF и подменный ffmpeg для энкодеров видео,
+// временные каталоги и причины пропуска, когда нет gcc или модуля canvas
+
+/**
+ * Псевдослучайные, но стабильные биты глифа: разные у каждого кода
+ */
+function glyphRows(code, width, height) {
+    let seed = code * 2654435761;
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            seed = (seed * 1103515245 + 12345) >>> 0;
+            if ((seed >>> 16) & 1) row |= 0x80 >> x;
+        }
+        rows.push(row.toString(16).padStart(2, '0').toUpperCase());
+    }
+    return rows;
+}
+
+/**
+ * Пишет BDF 8 × height (descent 2, по умолчанию 8x10) с U+0020..U+007E и U+0410..U+044F;
+ * ширина глифа 3..8 пикселей, advance = ширина + 1 (не больше 8)
+ *
+ * Возвращает путь к файлу
+ */
+function writeBdf(dir, { height = 10 } = {}) {
+    const codes = [];
+    for (let u = 0x20; u <= 0x7e; u++) codes.push(u);
+    for (let u = 0x410; u <= 0x44f; u++) codes.push(u);
+
+    let out = '';
+    out += 'STARTFONT 2.1\n';
+    out += `FONT -test-fixture-medium-r-normal--${height}-${height * 10}-75-75-c-80-iso10646-1\n`;
+    out += `SIZE ${height} 75 75\n`;
+    out += `FONTBOUNDINGBOX 8 ${height} 0 -2\n`;
+    out += 'STARTPROPERTIES 4\n';
+    out += `FONT_ASCENT ${height - 2}\n`;
+    out += 'FONT_DESCENT 2\n';
+    out += 'CHARSET_REGISTRY "ISO10646"\n';
+    out += 'CHARSET_ENCODING "1"\n';
+    out += 'ENDPROPERTIES\n';
+    out += `CHARS ${codes.length}\n`;
+
+    for (const u of codes) {
+        // пробел пустой, остальные — 3..8 пикселей в ширину, 4..9 в высоту
+        const width = u === 0x20 ? 4 : 3 + (u % 6);
+        const height = u === 0x20 ? 0 : 4 + (u % 6);
+        const yoff = u % 3 === 0 ? -2 : 0;
+
+        out += `STARTCHAR U+${u.toString(16).padStart(4, '0')}\n`;
+        out += `ENCODING ${u}\n`;
+        out += `SWIDTH 500 0\n`;
+        out += `DWIDTH ${Math.min(8, width + 1)} 0\n`;
+        out += `BBX ${width} ${height} 0 ${yoff}\n`;
+        out += 'BITMAP\n';
+        out += glyphRows(u, width, height).map((row) => `${row}\n`).join('');
+        out += 'ENDCHAR\n';
+    }
+    out += 'ENDFONT\n';
+
+    const file = path.join(dir, 'fixture.bdf');
+    fs.writeFileSync(file, out, 'latin1');
+    return file;
+}
+
+/**
+ * LZW-поток GIF с кодом постоянной длины: clear раньше, чем таблица дорастёт
+ * до следующей длины кода; блоки по 255 байт
+ */
+function gifLzw(indices, minCode) {
+    const clear = 1 << minCode;
+    const size = minCode + 1;
+    const bytes = [];
+    let acc = 0;
+    let bits = 0;
+    let sinceClear = 0;
+
+    const put = (code) => {
+        acc |= code << bits;
+        bits += size;
+        while (bits >= 8) {
+            bytes.push(acc & 0xff);
+            acc >>= 8;
+            bits -= 8;
+        }
+    };
+
+    put(clear);
+    for (const index of indices) {
+        put(index);
+        if (++sinceClear === clear - 2) {
+            put(clear);
+            sinceClear = 0;
+        }
+    }
+    put(clear + 1);
+    if (bits) bytes.push(acc & 0xff);
+
+    const out = [minCode];
+    for (let o = 0; o < bytes.length; o += 255) {
+        const block = bytes.slice(o, o + 255);
+        out.push(block.length, ...block);
+    }
+    out.push(0);
+    return out;
+}
+
+/**
+ * Пишет GIF89a из кадров RGB24 (до 256 разных цветов на весь клип):
+ * глобальная палитра, каждый кадр — во весь экран, disposal 1
+ */
+function writeGif(file, width, height, frames) {
+    const colors = [];
+    const lookup = new Map();
+
+    const indexed = frames.map((rgb) => {
+        const pixels = new Array(width * height);
+        for (let i = 0; i < pixels.length; i++) {
+            const key = (rgb[i * 3] << 16) | (rgb[i * 3 + 1] << 8) | rgb[i * 3 + 2];
+            if (!lookup.has(key)) {
+                lookup.set(key, colors.length);
+                colors.push([rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]]);
+            }
+            pixels[i] = lookup.get(key);
+        }
+        return pixels;
+    });
+
+    const bits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+    const u16 = (v) => [v & 0xff, v >> 8];
+    const out = [...Buffer.from('GIF89a', 'latin1')];
+
+    out.push(...u16(width), ...u16(height), 0x80 | ((bits - 1) << 4) | (bits - 1), 0, 0);
+    for (let i = 0; i < 1 << bits; i++) out.push(...(colors[i] || [0, 0, 0]));
+
+    for (const pixels of indexed) {
+        out.push(0x21, 0xf9, 4, 1 << 2, ...u16(10), 0, 0);
+        out.push(0x2c, ...u16(0), ...u16(0), ...u16(width), ...u16(height), 0);
+        out.push(...gifLzw(pixels, Math.max(2, bits)));
+    }
+    out.push(0x3b);
+
+    fs.writeFileSync(file, Buffer.from(out));
+}
+
+/**
+ * Подменный ffmpeg для энкодеров видео: в dir кладётся исполняемый ffmpeg,
+ * который на запрос rawvideo отдаёт кадры RGB24 как есть, на s16le — pcm;
+ * с error — ничего не отдаёт, пишет error в stderr и выходит с кодом 1
+ *
+ * Возвращает env для запуска энкодера с этим ffmpeg первым в PATH
+ */
+function fakeFfmpeg(dir, { frames = [], pcm = Buffer.alloc(0), error } = {}) {
+    fs.writeFileSync(path.join(dir, 'frames.rgb'), Buffer.concat(frames));
+    fs.writeFileSync(path.join(dir, 'audio.pcm'), pcm);
+
+    const output = [
+        "const fs = require('fs');",
+        "const path = require('path');",
+        "const file = process.argv.includes('rawvideo') ? 'frames.rgb' : 'audio.pcm';",
+        'process.stdout.write(fs.readFileSync(path.join(__dirname, file)));',
+    ];
+    const failure = [`process.stderr.write(${JSON.stringify(error)});`, 'process.exitCode = 1;'];
+    const script = [`#!${process.execPath}`, ...(error ? failure : output), ''].join('\n');
+
+    fs.writeFileSync(path.join(dir, 'ffmpeg'), script, { mode: 0o755 });
+    return { ...process.env, PATH: `${dir}${path.delimiter}${process.env.PATH}` };
+}
+
+/**
+ * Временный каталог, удаляется после теста
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'font2header-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Причина пропуска теста, которому нужен хостовый компилятор (gcc или $CC), иначе false
+ */
+function noCompiler() {
+    const cc = process.env.CC || 'gcc';
+    const probe = spawnSync(cc, ['--version'], { encoding: 'utf8' });
+    return probe.error ? `${cc} is not available` : false;
+}
+
+/**
+ * Причина пропуска теста, которому нужен canvas (PNG-превью), иначе false
+ */
+function noCanvas() {
+    try {
+        require('canvas');
+        return false;
+    } catch (e) {
+        return `canvas is not available: ${e.message.split('\n')[0]}`;
+    }
+}
+
+module.exports = {
+    writeBdf,
+    writeGif,
+    fakeFfmpeg,
+    tempDir,
+    noCompiler,
+    noCanvas,
+};
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeBdf, tempDir, noCanvas } = require('./helpers');
+
+// --from-png: PNG-лист обратно в header; размер ячейки, если его не задали,
+// определяется по картинке, а не берётся 8x8 по умолчанию
+
+const CLI = path.join(__dirname, '..', 'fontConverter', 'cli.js');
+
+const skip = noCanvas();
+
+/**
+ * Шрифт 8x16 → header и PNG-лист в масштабе 4
+ */
+function writeSheet(dir) {
+    const { rasterizeFont, toHeader, toPNG } = require('../fontConverter');
+
+    const glyphSet = rasterizeFont(writeBdf(dir, { height: 16 }));
+    const pngPath = path.join(dir, 'sheet.png');
+
+    fs.writeFileSync(pngPath, toPNG(glyphSet, { scale: 4 }));
+    return { glyphSet, pngPath, header: toHeader(glyphSet, { name: 'fixture' }) };
+}
+
+test('8x16 sheet round-trips through resolveJob and readGlyphSheet', { skip }, async (t) => {
+    const { toHeader } = require('../fontConverter');
+    const { resolveJob } = require('../fontConverter/job');
+    const { readGlyphSheet } = require('../fontConverter/converter');
+
+    const { pngPath, header } = writeSheet(tempDir(t));
+    const job = resolveJob({ 'from-png': pngPath });
+
+    assert.strictEqual(job.options.width, undefined);
+    assert.strictEqual(job.options.height, undefined);
+
+    const { glyphSet, scale } = await readGlyphSheet(pngPath, { ...job.options, scale: job.scale });
+
+    assert.strictEqual(scale, 4);
+    assert.strictEqual(glyphSet.width, 8);
+    assert.strictEqual(glyphSet.height, 16);
+    assert.strictEqual(toHeader(glyphSet, { name: 'fixture' }), header);
+});
+
+test('8x16 sheet round-trips through --from-png', { skip }, (t) => {
+    const dir = tempDir(t);
+    const { pngPath, header } = writeSheet(dir);
+
+    const result = spawnSync(process.execPath, [CLI, '--from-png', pngPath, '--out', 'fixture'], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout: 60000,
+    });
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /8x16 cells, scale 4x/);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'fixture.h'), 'utf8'), header);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, noCompiler } = require('./helpers');
+const { compressRLE, decompressRLE, compressGlyphs } = require('../fontConverter/utils/rle');
+const { loadEncoding } = require('../fontConverter/encodings');
+const { getWriter } = require('../fontConverter/writers');
+
+// --compress: RLE каждого глифа (utils/rle.js) и распаковщик name_decode() в header
+
+function ramp(length, from = 0) {
+    return Array.from({ length }, (_, i) => (from + i) & 0xff);
+}
+
+function roundTrip(bytes) {
+    const packed = compressRLE(bytes);
+    assert.deepStrictEqual(decompressRLE(packed, 0, bytes.length), bytes);
+    return packed;
+}
+
+// глифы 32x32 по 8 bpp (1024 байта), на которых ломаются границы команд
+const GLYPHS = {
+    empty: new Array(1024).fill(0),
+    'run of 129': [...new Array(129).fill(0x55), ...ramp(895)],
+    'run of 130': [...new Array(130).fill(0x55), ...ramp(894)],
+    'long run after literal': [1, 2, 3, ...new Array(300).fill(0xff), ...ramp(721)],
+    'literal of 128': [...ramp(128), ...new Array(896).fill(0)],
+    'literal of 129': [...ramp(129), ...new Array(895).fill(0)],
+    'literal over 256': ramp(1024, 7),
+    'pairs inside literal': Array.from({ length: 1024 }, (_, i) => (i >> 1) & 0xff),
+    'single byte': [...new Array(511).fill(0), 0x80, ...new Array(512).fill(0)],
+};
+
+test('empty glyph data compresses to nothing', () => {
+    assert.deepStrictEqual(roundTrip([]), []);
+});
+
+test('single-byte glyphs', () => {
+    assert.deepStrictEqual(roundTrip([0x42]), [0x00, 0x42]);
+    assert.deepStrictEqual(roundTrip([0]), [0x00, 0]);
+});
+
+test('runs are capped at 129 bytes', () => {
+    assert.deepStrictEqual(roundTrip(new Array(129).fill(7)), [0xff, 7]);
+    assert.deepStrictEqual(roundTrip(new Array(130).fill(7)), [0xff, 7, 0x00, 7]);
+    assert.deepStrictEqual(roundTrip(new Array(131).fill(7)), [0xff, 7, 0x80, 7]);
+    assert.deepStrictEqual(roundTrip(new Array(129 * 3).fill(7)), [0xff, 7, 0xff, 7, 0xff, 7]);
+});
+
+test('literals are capped at 128 bytes', () => {
+    const packed = roundTrip(ramp(300));
+
+    assert.strictEqual(packed[0], 0x7f);
+    assert.strictEqual(packed[129], 0x7f);
+    assert.strictEqual(packed[258], 300 - 256 - 1);
+    assert.strictEqual(packed.length, 300 + 3);
+});
+
+test('every boundary glyph round-trips', () => {
+    for (const [name, bytes] of Object.entries(GLYPHS)) {
+        assert.deepStrictEqual(decompressRLE(compressRLE(bytes), 0, bytes.length), bytes, name);
+    }
+});
+
+test('compressGlyphs indexes each glyph in one stream', () => {
+    const glyphs = Object.values(GLYPHS);
+    const { data, index } = compressGlyphs(glyphs);
+
+    glyphs.forEach((bytes, i) => {
+        assert.deepStrictEqual(decompressRLE(data, index[i], bytes.length), bytes);
+    });
+});
+
+test('truncated data is an error', () => {
+    assert.throws(() => decompressRLE([0x85], 0, 7), /ends inside a glyph/);
+    assert.throws(() => decompressRLE([0x02, 1, 2], 0, 3), /ends inside a glyph/);
+    assert.throws(() => decompressRLE([0x85, 1], 0, 6), /expected 6/);
+});
+
+test('generated C decoder returns the original glyph bytes', { skip: noCompiler() }, (t) => {
+    const dir = tempDir(t);
+    const outPath = path.join(dir, 'packed.h');
+    const samples = Object.values(GLYPHS);
+    const cells = Array.from({ length: 256 }, (_, i) => samples[i % samples.length]);
+    const glyphSet = {
+        width: 32,
+        height: 32,
+        baseline: 24,
+        encoding: loadEncoding(),
+        bpp: 8,
+        charset: null,
+        proportional: false,
+        cells,
+        glyphs: null,
+        clipped: [],
+    };
+    const writer = getWriter('raw', { bpp: 8 });
+
+    fs.writeFileSync(outPath, writer.render(glyphSet, { fileName: 'packed.h', compress: true }));
+
+    assert.deepStrictEqual(writer.checkDecoder(outPath, glyphSet), []);
+});
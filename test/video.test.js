@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeGif, fakeFfmpeg, tempDir } = require('./helpers');
+const { parseHeader, readFrames, decodeFrames, extractWav } = require('../videoConverter/rvFormat');
+
+// Энкодеры gif2rvv.js (.rvv) и rv.js (.rv) против эталонного декодера rvFormat.js:
+// кадры из цветов, которые формат передаёт без потерь, должны вернуться пиксель в пиксель
+
+const GIF2RVV = path.join(__dirname, '..', 'videoConverter', 'gif2rvv.js');
+const RV = path.join(__dirname, '..', 'videoConverter', 'rv.js');
+
+// 17 × 16 = 272 тайла: номера за 255 кодируются цепочкой skip
+const WIDTH = 136;
+const HEIGHT = 128;
+const TILES_X = WIDTH / 8;
+
+// тайлы, которые меняются в кадрах 1, 2, ...: skip 255 + 0, 255 + 14, ровно 254 и 255,
+// кадры без обновлений; видео у rv.js выходит нечётной длины, звук после выравнивания
+const CHANGES = [[0, 256, 271], [254], [255], [], []];
+
+// цвета с каналами 0/255 точны в RGB332, RGB333 и RGB565
+const PRIMARIES = [
+    [0, 0, 0],
+    [255, 255, 255],
+    [255, 0, 0],
+    [0, 0, 255],
+    [0, 255, 0],
+    [255, 255, 0],
+    [0, 255, 255],
+    [255, 0, 255],
+];
+
+function paletteColors(count) {
+    const colors = PRIMARIES.slice(0, count);
+    for (let i = colors.length; i < count; i++) {
+        colors.push([i * 13, 255 - i * 9, (i * 71) & 255]);
+    }
+    return colors;
+}
+
+function drawTile(rgb, tile, shift, colors) {
+    const tx = (tile % TILES_X) * 8;
+    const ty = Math.floor(tile / TILES_X) * 8;
+
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const color = colors[(x + 2 * y + tile + shift) % colors.length];
+            rgb.set(color, ((ty + y) * WIDTH + tx + x) * 3);
+        }
+    }
+}
+
+/**
+ * Кадры RGB24: в первом нарисованы все тайлы, в следующих перерисованы тайлы CHANGES
+ */
+function makeFrames(colors) {
+    const rgb = new Uint8Array(WIDTH * HEIGHT * 3);
+    const shifts = new Array(TILES_X * (HEIGHT / 8)).fill(0);
+    shifts.forEach((shift, tile) => drawTile(rgb, tile, shift, colors));
+
+    const frames = [Buffer.from(rgb)];
+    for (const tiles of CHANGES) {
+        // сдвиг цветов на 1 меняет каждый пиксель тайла при любом числе цветов
+        for (const tile of tiles) drawTile(rgb, tile, ++shifts[tile], colors);
+        frames.push(Buffer.from(rgb));
+    }
+    return frames;
+}
+
+function run(script, args, env = process.env) {
+    const result = spawnSync(process.execPath, [script, ...args], {
+        env,
+        encoding: 'utf8',
+        timeout: 60000,
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+}
+
+function assertDecodes(file, frames, { keyframes = [0] } = {}) {
+    const buf = fs.readFileSync(file);
+    const header = parseHeader(buf);
+
+    assert.strictEqual(header.width, WIDTH);
+    assert.strictEqual(header.height, HEIGHT);
+    assert.strictEqual(header.frameCount, frames.length);
+
+    const tiles = [...readFrames(buf, header)].map((f) => f.updates.map((u) => u.tile));
+    CHANGES.forEach((changed, i) => {
+        if (!keyframes.includes(i + 1)) assert.deepStrictEqual(tiles[i + 1], changed);
+    });
+
+    for (const frame of decodeFrames(buf, header)) {
+        const expected = frames[frame.index];
+        assert.strictEqual(frame.keyframe, keyframes.includes(frame.index));
+
+        for (let i = 0; i < WIDTH * HEIGHT; i++) {
+            const actual = [...frame.rgba.subarray(i * 4, i * 4 + 3)];
+            const wanted = [...expected.subarray(i * 3, i * 3 + 3)];
+            if (actual.join() !== wanted.join()) {
+                assert.fail(`frame ${frame.index} pixel ${i}: ${actual} instead of ${wanted}`);
+            }
+        }
+    }
+    return { buf, header };
+}
+
+for (const bpp of [1, 2, 4, 8]) {
+    test(`gif2rvv: GIF round-trips at ${bpp} bpp`, (t) => {
+        const dir = tempDir(t);
+        const frames = makeFrames(bpp === 8 ? PRIMARIES : paletteColors(1 << bpp));
+        const gif = path.join(dir, 'clip.gif');
+        const out = path.join(dir, 'clip.rvv');
+
+        writeGif(gif, WIDTH, HEIGHT, frames);
+        run(GIF2RVV, [gif, '-o', out, '--bpp', bpp, '--fps', 10]);
+
+        const { header } = assertDecodes(out, frames);
+        assert.strictEqual(header.bpp, bpp);
+    });
+}
+
+test('gif2rvv: keyframe interval and the GIF color table', (t) => {
+    const dir = tempDir(t);
+    const frames = makeFrames(paletteColors(4));
+    const gif = path.join(dir, 'clip.gif');
+    const out = path.join(dir, 'clip.rvv');
+
+    writeGif(gif, WIDTH, HEIGHT, frames);
+    run(GIF2RVV, [gif, '-o', out, '--bpp', 2, '--fps', 10, '--kf', 2, '--palette', 'gct']);
+
+    assertDecodes(out, frames, { keyframes: [0, 2, 4] });
+});
+
+test('gif2rvv: video through ffmpeg in two streamed passes', (t) => {
+    const dir = tempDir(t);
+    const frames = makeFrames(paletteColors(16));
+    const env = fakeFfmpeg(dir, { frames });
+    const out = path.join(dir, 'clip.rvv');
+
+    const args = ['clip.mp4', '-o', out, '--bpp', 4, '--fps', 10];
+
+    run(GIF2RVV, [...args, '--res', `${WIDTH}:${HEIGHT}`], env);
+
+    assertDecodes(out, frames);
+});
+
+const RV_MODES = [
+    [1, paletteColors(2)],
+    [2, paletteColors(4)],
+    [4, paletteColors(16)],
+    [8, PRIMARIES],
+    [9, PRIMARIES],
+    [16, PRIMARIES],
+];
+
+for (const [bits, colors] of RV_MODES) {
+    test(`rv: video and sound round-trip at --bits ${bits}`, (t) => {
+        const dir = tempDir(t);
+        const frames = makeFrames(colors);
+        const pcm = Buffer.alloc(2 * 1001);
+        for (let i = 0; i < 1001; i++) pcm.writeInt16LE(Math.round(Math.sin(i / 7) * 12000), i * 2);
+
+        const env = fakeFfmpeg(dir, { frames, pcm });
+        const out = path.join(dir, 'clip.rv');
+        const args = ['--file', 'clip.mp4', '--output', out, '--bits', bits];
+
+        run(RV, [...args, '--res', `${WIDTH}:${HEIGHT}`, '--volume', 100], env);
+
+        const { buf, header } = assertDecodes(out, frames);
+        const last = [...readFrames(buf, header)].pop();
+        const videoEnd = last.offset + last.size;
+
+        assert.strictEqual(header.bpp, bits);
+        assert.strictEqual(videoEnd % 2, 1);
+        assert.strictEqual(header.audio.offset, videoEnd + 1);
+        assert.strictEqual(header.audio.samples, 1001);
+
+        const wav = extractWav(buf, header);
+        assert.strictEqual(wav.toString('latin1', 0, 4), 'RIFF');
+        assert.strictEqual(wav.readUInt32LE(24), header.audio.rate);
+        assert.strictEqual(wav.readUInt32LE(40), pcm.length);
+        assert.ok(wav.subarray(44).equals(pcm));
+    });
+}
+
+test('rv: no sound gives no WAV', (t) => {
+    const dir = tempDir(t);
+    const frames = makeFrames(PRIMARIES);
+    const env = fakeFfmpeg(dir, { frames });
+    const out = path.join(dir, 'clip.rv');
+
+    const args = ['--file', 'clip.mp4', '--output', out, '--bits', 8];
+
+    run(RV, [...args, '--res', `${WIDTH}:${HEIGHT}`, '--volume', 100], env);
+
+    const { buf, header } = assertDecodes(out, frames);
+    assert.strictEqual(header.audio.samples, 0);
+    assert.strictEqual(extractWav(buf, header), null);
+});
+
+test('rv: a failing palette pass stops with the ffmpeg error', (t) => {
+    const dir = tempDir(t);
+    const env = fakeFfmpeg(dir, { error: 'clip.mp4: Invalid data found when processing input' });
+    const out = path.join(dir, 'clip.rv');
+    const args = ['--file', 'clip.mp4', '--output', out, '--bits', 4];
+
+    const result = spawnSync(
+        process.execPath,
+        [RV, ...args, '--res', `${WIDTH}:${HEIGHT}`, '--volume', 100],
+        { env, encoding: 'utf8', timeout: 60000 }
+    );
+
+    assert.notStrictEqual(result.status, 0);
+    assert.match(result.stderr, /ffmpeg failed: clip\.mp4: Invalid data found/);
+    assert.doesNotMatch(result.stdout, /start VIDEO/);
+    assert.strictEqual(fs.existsSync(out), false);
+});
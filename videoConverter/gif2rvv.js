@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const { spawn } = require('child_process');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const { parseGIF, decompressFrames } = require('gifuct-js');
+const { colorHistogram, paletteTarget, rgb332Target, quantizeFrame } = require('./palette');
 
 const TILE = 8;
 
@@ -13,7 +15,10 @@ const TILE = 8;
 
 const argv = yargs(hideBin(process.argv))
     .usage(
-        'node gif2rvv.js <input.gif> -o out.rvv ' + '--bpp <1|2|4|8> --fps <fps> --kf <interval>'
+        'node gif2rvv.js <input.gif|video> -o out.rvv ' +
+            '--bpp <1|2|4|8> --fps <fps> --kf <interval> ' +
+            '[--palette median-cut|kmeans|gct] [--dither none|floyd-steinberg|bayer] ' +
+            '[--res W:H]'
     )
     .demandCommand(1)
     .option('o', { alias: 'output', demandOption: true })
@@ -24,6 +29,20 @@ const argv = yargs(hideBin(process.argv))
         default: 0,
         describe: 'Keyframe interval (0 = only first)',
     })
+    .option('palette', {
+        choices: ['median-cut', 'kmeans', 'gct'],
+        default: 'median-cut',
+        describe: 'Palette for 1/2/4 bpp: generated from all frames, or the GIF color table',
+    })
+    .option('dither', {
+        choices: ['none', 'floyd-steinberg', 'bayer'],
+        default: 'none',
+        describe: 'Dithering to the palette (8 bpp: to RGB332)',
+    })
+    .option('res', {
+        type: 'string',
+        describe: 'Video input only: output size W:H',
+    })
     .help().argv;
 
 const INPUT = argv._[0];
@@ -31,30 +50,172 @@ const OUTPUT = argv.output;
 const BPP = argv.bpp;
 const FPS = argv.fps;
 const KEYFRAME_INTERVAL = argv.kf | 0;
+const IS_GIF = /\.gif$/i.test(INPUT);
 
 if (![1, 2, 4, 8].includes(BPP)) {
     throw new Error('Invalid bpp');
 }
+if (!IS_GIF && !argv.res) {
+    throw new Error('Video input needs --res W:H');
+}
+if (IS_GIF && argv.res) {
+    throw new Error('--res is for video input, a GIF keeps its size');
+}
+if (!IS_GIF && argv.palette === 'gct') {
+    throw new Error('--palette gct needs a GIF input');
+}
 
 // -----------------------------------------------------------------------------
-// Load GIF
+// Load frames (RGB24)
 // -----------------------------------------------------------------------------
 
-const gif = parseGIF(fs.readFileSync(INPUT));
-const frames = decompressFrames(gif, false);
+/*
+Источник кадров: { width, height, gct, readFrames(onFrame, onDone) }
+readFrames — один проход по кадрам: onFrame(rgb, index) на каждый, onDone(count) в конце;
+проходов два (палитра, кодирование), видео при этом в памяти целиком не держится
+*/
 
-const WIDTH = gif.lsd.width;
-const HEIGHT = gif.lsd.height;
+const source = IS_GIF ? loadGIF(INPUT) : loadVideo(INPUT);
+const { gct } = source;
+
+const WIDTH = source.width;
+const HEIGHT = source.height;
 
 if (WIDTH % TILE || HEIGHT % TILE) {
     throw new Error('Width/height must be divisible by 8');
 }
+if (BPP < 8 && argv.palette === 'gct' && !(gct && gct.length >= 1 << BPP)) {
+    throw new Error(`Palette too small: --palette gct needs ${1 << BPP} global colors`);
+}
 
-const gct = gif.gct;
-const PALETTE_SIZE = 1 << BPP;
+/**
+ * GIF: кадры собираются в RGB-буфере логического экрана, каждый своей палитрой
+ * (локальной или глобальной), с прозрачностью и disposal:
+ *   0, 1 — кадр остаётся под следующим
+ *   2    — прямоугольник кадра заливается фоном (цвет фона из глобальной палитры)
+ *   3    — экран возвращается к состоянию до кадра
+ */
+function loadGIF(file) {
+    const gif = parseGIF(fs.readFileSync(file));
+    const gifFrames = decompressFrames(gif, false);
+    const { width, height } = gif.lsd;
+
+    const background = (gif.gct && gif.gct[gif.lsd.backgroundColorIndex]) || [0, 0, 0];
+    const screen = new Uint8Array(width * height * 3);
+    fillRect(0, 0, width, height);
+
+    // прямоугольник кадра, обрезанный по логическому экрану
+    function clipRect({ left, top, width: w, height: h }) {
+        const x0 = Math.min(left, width);
+        const y0 = Math.min(top, height);
+        return { x0, y0, x1: Math.min(left + w, width), y1: Math.min(top + h, height) };
+    }
+
+    function fillRect(x0, y0, x1, y1) {
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                screen.set(background, (y * width + x) * 3);
+            }
+        }
+    }
+
+    function blitFrame(frame) {
+        const { left, top, width: w } = frame.dims;
+        const { x0, y0, x1, y1 } = clipRect(frame.dims);
+        const src = frame.pixels;
+        const table = frame.colorTable || [];
+        const transparent = frame.transparentIndex;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const pix = src[(y - top) * w + (x - left)];
+                if (transparent !== undefined && pix === transparent) continue;
+                // индекс за концом палитры — битый файл, такой пиксель пропускается
+                const c = table[pix];
+                if (c) screen.set(c, (y * width + x) * 3);
+            }
+        }
+    }
+
+    const frames = [];
+
+    for (const frame of gifFrames) {
+        const saved = frame.disposalType === 3 ? screen.slice() : null;
+
+        blitFrame(frame);
+        frames.push(screen.slice());
+
+        if (frame.disposalType === 2) {
+            const { x0, y0, x1, y1 } = clipRect(frame.dims);
+            fillRect(x0, y0, x1, y1);
+        } else if (saved) {
+            screen.set(saved);
+        }
+    }
+
+    console.log(`GIF ${width}x${height}, frames=${frames.length}`);
+
+    // GIF и так прочитан целиком, кадры уже собраны
+    function readFrames(onFrame, onDone) {
+        frames.forEach(onFrame);
+        onDone(frames.length);
+    }
 
-if (!gct || gct.length < PALETTE_SIZE) {
-    throw new Error('Palette too small');
+    return { width, height, gct: gif.gct, readFrames };
+}
+
+/**
+ * Любое другое видео — через ffmpeg: размер из --res, кадры пересчитываются под --fps
+ * Каждый проход заново запускает ffmpeg и разбирает его вывод по кадрам, как rv.js
+ */
+function loadVideo(file) {
+    const [width, height] = argv.res.split(':').map(Number);
+    if (!width || !height) throw new Error('Invalid --res');
+
+    const frameSize = width * height * 3;
+
+    function readFrames(onFrame, onDone) {
+        const ffmpeg = spawn('ffmpeg', [
+            '-v',
+            'error',
+            '-i',
+            file,
+            '-vf',
+            `fps=${FPS},scale=${width}:${height}:flags=lanczos,format=rgb24`,
+            '-f',
+            'rawvideo',
+            '-pix_fmt',
+            'rgb24',
+            'pipe:1',
+        ]);
+
+        let buf = Buffer.alloc(0);
+        let count = 0;
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', (chunk) => {
+            buf = Buffer.concat([buf, chunk]);
+
+            while (buf.length >= frameSize) {
+                onFrame(buf.subarray(0, frameSize), count++);
+                buf = buf.subarray(frameSize);
+            }
+        });
+
+        ffmpeg.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+
+        ffmpeg.on('error', (e) => abort(`ffmpeg: ${e.message}`));
+
+        ffmpeg.on('close', (status) => {
+            if (status !== 0) abort(`ffmpeg failed: ${stderr.trim()}`);
+            onDone(count);
+        });
+    }
+
+    console.log(`Video ${width}x${height}`);
+    return { width, height, gct: null, readFrames };
 }
 
 // -----------------------------------------------------------------------------
@@ -67,14 +228,17 @@ const TILE_COUNT = TILES_X * TILES_Y;
 const DIRECT_COLOR_8BPP = BPP === 8;
 const BYTES_PER_TILE = DIRECT_COLOR_8BPP ? TILE * TILE : (TILE * TILE * BPP) >> 3;
 
-console.log(`GIF ${WIDTH}x${HEIGHT}, frames=${frames.length}`);
 console.log(`RVV v5 | ${BPP}bpp | ${FPS}fps | KF=${KEYFRAME_INTERVAL || 'first only'}`);
 
 // -----------------------------------------------------------------------------
-// Write header (RVV v5)
+// Header (RVV v5), written by encode()
 // -----------------------------------------------------------------------------
 
-const out = fs.openSync(OUTPUT, 'w');
+const PALETTE_SIZE = 1 << BPP;
+const FRAME_COUNT_OFFSET = 12;
+
+// файл открывается, когда известна палитра (после первого прохода), см. encode()
+let out = null;
 
 /*
 RVV v5 HEADER
@@ -111,42 +275,24 @@ header.writeUInt8(BPP, ho);
 ho += 1;
 header.writeUInt8(FPS, ho);
 ho += 1;
-header.writeUInt16LE(frames.length, ho);
+// число кадров видео известно только в конце, см. finish()
+header.writeUInt16LE(0, ho);
 ho += 2;
 header.writeUInt16LE(PALETTE_SIZE, ho);
 ho += 2;
 header.writeUInt16LE(KEYFRAME_INTERVAL, ho);
 ho += 2;
 
-fs.writeSync(out, header);
-
-// -----------------------------------------------------------------------------
-// Palette (RGB888)
-// -----------------------------------------------------------------------------
-
-for (let i = 0; i < PALETTE_SIZE; i++) {
-    const [r, g, b] = gct[i];
-    fs.writeSync(out, Buffer.from([r, g, b]));
-}
-
 // -----------------------------------------------------------------------------
 // Helpers
 // -----------------------------------------------------------------------------
 
 function packTile(pixels) {
     // -----------------------------------------------------------------
-    // 8 BPP — прямой цвет RGB332
+    // 8 BPP — прямой цвет RGB332, значения уже коды
     // -----------------------------------------------------------------
     if (DIRECT_COLOR_8BPP) {
-        const buf = Buffer.alloc(BYTES_PER_TILE);
-        let i = 0;
-
-        for (const p of pixels) {
-            const [r, g, b] = gct[p];
-
-            buf[i++] = (r >> 5) | ((g >> 5) << 3) | (b & 0b11000000);
-        }
-        return buf;
+        return Buffer.from(pixels);
     }
 
     // -----------------------------------------------------------------
@@ -187,46 +333,39 @@ function extractTiles(fb) {
     return tiles;
 }
 
+let target = null;
+let prevTiles = null;
+
 // -----------------------------------------------------------------------------
-// GIF framebuffer
+// Main loop + Skip-index RLE
 // -----------------------------------------------------------------------------
 
-const gifFB = new Uint8Array(WIDTH * HEIGHT);
-gifFB.fill(0);
+/**
+ * Второй проход: палитра (цвета target) за заголовком, затем кадры по одному
+ */
+function encode(quantizeTarget, label) {
+    target = quantizeTarget;
 
-let prevTiles = null;
-let prevFrame = null;
+    console.log(`Palette: ${label}, ${PALETTE_SIZE} colors, dither=${argv.dither}`);
 
-function applyDisposal(frame) {
-    if (frame.disposalType === 2) {
-        gifFB.fill(0);
-    }
-}
+    out = fs.openSync(OUTPUT, 'w');
+    fs.writeSync(out, header);
 
-function blitFrame(frame) {
-    const { left, top, width, height } = frame.dims;
-    const src = frame.pixels;
-    const transparent = frame.transparentIndex;
-
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const i = y * width + x;
-            const pix = src[i];
-            if (transparent !== undefined && pix === transparent) continue;
-            gifFB[(top + y) * WIDTH + (left + x)] = pix;
-        }
-    }
-}
+    // -------------------------------------------------------------------------
+    // Palette (RGB888)
+    // -------------------------------------------------------------------------
 
-// -----------------------------------------------------------------------------
-// Main loop + Skip-index RLE
-// -----------------------------------------------------------------------------
+    for (let i = 0; i < PALETTE_SIZE; i++) {
+        const [r, g, b] = target.colors[i];
+        fs.writeSync(out, Buffer.from([r, g, b]));
+    }
 
-frames.forEach((frame, frameIndex) => {
-    if (prevFrame) applyDisposal(prevFrame);
-    blitFrame(frame);
+    source.readFrames(encodeFrame, finish);
+}
 
-    const tiles = extractTiles(gifFB);
+function encodeFrame(rgb, frameIndex) {
+    const pixels = quantizeFrame(rgb, WIDTH, HEIGHT, target, argv.dither);
+    const tiles = extractTiles(pixels);
 
     const isKeyframe =
         frameIndex === 0 || (KEYFRAME_INTERVAL > 0 && frameIndex % KEYFRAME_INTERVAL === 0);
@@ -281,16 +420,58 @@ frames.forEach((frame, frameIndex) => {
     }
 
     prevTiles = tiles;
-    prevFrame = frame;
 
     if (frameIndex % 50 === 0) {
         console.log(
-            `frame ${frameIndex}/${frames.length} | ` +
-                (isKeyframe ? 'KEY' : 'diff') +
-                ` | updates=${updates.length}`
+            `frame ${frameIndex} | ` + (isKeyframe ? 'KEY' : 'diff') + ` | updates=${updates.length}`
         );
     }
-});
+}
+
+/**
+ * Число кадров — в заголовок, когда проход кончился
+ */
+function finish(count) {
+    if (!count) abort('No frames');
+
+    const frameCount = Buffer.alloc(2);
+    frameCount.writeUInt16LE(count);
+    fs.writeSync(out, frameCount, 0, 2, FRAME_COUNT_OFFSET);
+
+    fs.closeSync(out);
+    console.log(`frames=${count}`);
+    console.log('DONE:', OUTPUT);
+}
+
+/**
+ * Ошибка посреди прохода: недописанный файл удаляется
+ */
+function abort(message) {
+    if (out !== null) {
+        fs.closeSync(out);
+        fs.unlinkSync(OUTPUT);
+    }
+    throw new Error(message);
+}
 
-fs.closeSync(out);
-console.log('DONE:', OUTPUT);
+// -----------------------------------------------------------------------------
+// Palette + quantization target
+// -----------------------------------------------------------------------------
+
+if (DIRECT_COLOR_8BPP) {
+    // 8 bpp — прямой цвет, в заголовок идут цвета кодов RGB332
+    encode(rgb332Target(), 'RGB332');
+} else if (argv.palette === 'gct') {
+    encode(paletteTarget(gct.slice(0, PALETTE_SIZE)), 'gct');
+} else {
+    // первый проход: только гистограмма, кадры не копятся
+    const histogram = colorHistogram();
+
+    source.readFrames(
+        (rgb) => histogram.add(rgb),
+        () => {
+            const palette = histogram.palette(PALETTE_SIZE, argv.palette);
+            encode(paletteTarget(palette), argv.palette);
+        }
+    );
+}
@@ -0,0 +1,367 @@
+// Палитра под заданный bpp и перевод RGB-кадров в значения пикселей:
+// median cut / k-means по гистограмме всех кадров, дизеринг Флойда–Стейнберга или Байера.
+// Кадры — Uint8Array RGB24, width × height × 3.
+
+// -----------------------------------------------------------------------------
+// Palette generation
+// -----------------------------------------------------------------------------
+
+const HIST_BITS = 5;
+const KMEANS_ITERATIONS = 16;
+const MAX_EXACT = 256;
+
+/**
+ * Гистограмма, которую можно копить по кадру, не держа весь клип в памяти:
+ * add(rgb) — добавить кадр RGB24;
+ * palette(size, method) — палитра из size цветов всех добавленных кадров:
+ * [[r, g, b], ...], отсортирована по яркости
+ *
+ * method — 'median-cut' | 'kmeans' (k-means уточняет результат median cut).
+ * Если разных цветов не больше size, они берутся как есть, без потерь;
+ * недостающие элементы заполняются чёрным
+ *
+ * Ячейки по 5 бит на канал, в каждой — число пикселей и сумма цветов;
+ * точные цвета помнятся, пока их не больше 256
+ */
+function colorHistogram() {
+    const shift = 8 - HIST_BITS;
+    const cells = 1 << (HIST_BITS * 3);
+    const counts = new Float64Array(cells);
+    const sums = new Float64Array(cells * 3);
+    let exact = new Set();
+
+    function add(rgb) {
+        for (let i = 0; i < rgb.length; i += 3) {
+            const r = rgb[i];
+            const g = rgb[i + 1];
+            const b = rgb[i + 2];
+            const cell =
+                ((r >> shift) << (HIST_BITS * 2)) | ((g >> shift) << HIST_BITS) | (b >> shift);
+
+            counts[cell]++;
+            sums[cell * 3] += r;
+            sums[cell * 3 + 1] += g;
+            sums[cell * 3 + 2] += b;
+
+            if (exact) {
+                exact.add((r << 16) | (g << 8) | b);
+                if (exact.size > MAX_EXACT) exact = null;
+            }
+        }
+    }
+
+    function palette(size, method = 'median-cut') {
+        let colors;
+
+        if (exact && exact.size <= size) {
+            colors = [...exact].map((c) => [c >> 16, (c >> 8) & 255, c & 255]);
+        } else {
+            const bins = [];
+            for (let cell = 0; cell < cells; cell++) {
+                const count = counts[cell];
+                if (!count) continue;
+                bins.push({
+                    count,
+                    r: sums[cell * 3] / count,
+                    g: sums[cell * 3 + 1] / count,
+                    b: sums[cell * 3 + 2] / count,
+                });
+            }
+
+            colors = medianCut(bins, size);
+            if (method === 'kmeans') colors = kmeans(bins, colors);
+        }
+
+        colors.sort((a, b) => luma(a) - luma(b));
+        while (colors.length < size) colors.push([0, 0, 0]);
+        return colors;
+    }
+
+    return { add, palette };
+}
+
+/**
+ * Median cut: делит коробку с наибольшим «число пикселей × длина стороны»
+ * по самой длинной стороне на равные по числу пикселей половины
+ */
+function medianCut(bins, size) {
+    const boxes = [makeBox(bins)];
+
+    while (boxes.length < size) {
+        let best = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            const box = boxes[i];
+            if (box.bins.length < 2) continue;
+            if (best < 0 || box.count * box.range > boxes[best].count * boxes[best].range) {
+                best = i;
+            }
+        }
+        if (best < 0) break;
+
+        const { bins: items, channel, count } = boxes[best];
+        items.sort((a, b) => a[channel] - b[channel]);
+
+        // первая половина получает хотя бы одну ячейку, вторая — тоже
+        let split = 1;
+        let acc = items[0].count;
+        while (split < items.length - 1 && acc + items[split].count <= count / 2) {
+            acc += items[split++].count;
+        }
+
+        boxes.splice(best, 1, makeBox(items.slice(0, split)), makeBox(items.slice(split)));
+    }
+
+    return boxes.map((box) => mean(box.bins));
+}
+
+function makeBox(bins) {
+    const min = [255, 255, 255];
+    const max = [0, 0, 0];
+    let count = 0;
+
+    for (const bin of bins) {
+        count += bin.count;
+        ['r', 'g', 'b'].forEach((c, i) => {
+            min[i] = Math.min(min[i], bin[c]);
+            max[i] = Math.max(max[i], bin[c]);
+        });
+    }
+
+    const ranges = max.map((v, i) => v - min[i]);
+    const axis = ranges.indexOf(Math.max(...ranges));
+
+    return { bins, count, channel: 'rgb'[axis], range: ranges[axis] };
+}
+
+/**
+ * Средний цвет ячеек с учётом числа пикселей, округлённый до байта
+ */
+function mean(bins) {
+    let count = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+
+    for (const bin of bins) {
+        count += bin.count;
+        r += bin.r * bin.count;
+        g += bin.g * bin.count;
+        b += bin.b * bin.count;
+    }
+    return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+}
+
+/**
+ * k-means (Ллойд) по ячейкам гистограммы от начальной палитры;
+ * цвет без единой ячейки остаётся на месте
+ */
+function kmeans(bins, initial) {
+    let palette = initial.map((c) => c.slice());
+
+    for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+        const clusters = palette.map(() => []);
+
+        for (const bin of bins) {
+            clusters[nearestIndex(palette, bin.r, bin.g, bin.b)].push(bin);
+        }
+
+        const next = clusters.map((cluster, i) => (cluster.length ? mean(cluster) : palette[i]));
+        const moved = next.some((c, i) => distance(c, palette[i]) > 0);
+
+        palette = next;
+        if (!moved) break;
+    }
+    return palette;
+}
+
+// -----------------------------------------------------------------------------
+// Targets: palette or direct color
+// -----------------------------------------------------------------------------
+
+/*
+Цель квантования — во что переводится пиксель:
+  colors   [[r, g, b], ...] — цвет каждого значения пикселя
+  nearest  (r, g, b) → значение пикселя (индекс палитры или код цвета)
+  spread   [r, g, b] — шаг между соседними цветами по каналам, амплитуда Байера
+*/
+
+/**
+ * Индексы палитры: ближайший цвет по евклидову расстоянию в RGB
+ */
+function paletteTarget(palette) {
+    const cache = new Map();
+
+    function nearest(r, g, b) {
+        const key = (r << 16) | (g << 8) | b;
+        let index = cache.get(key);
+
+        if (index === undefined) {
+            // кэш ограничен: после дизеринга Флойда–Стейнберга разных цветов много
+            if (cache.size >= 1 << 16) cache.clear();
+            index = nearestIndex(palette, r, g, b);
+            cache.set(key, index);
+        }
+        return index;
+    }
+
+    // шаг — среднее расстояние до ближайшего другого цвета; сдвиг на step по всем
+    // трём каналам — это step × √3 в RGB, поэтому делим на √3
+    let sum = 0;
+    let count = 0;
+    palette.forEach((c, i) => {
+        let min = Infinity;
+        palette.forEach((d, j) => {
+            if (i !== j && distance(c, d) > 0) min = Math.min(min, distance(c, d));
+        });
+        if (min !== Infinity) {
+            sum += Math.sqrt(min);
+            count++;
+        }
+    });
+    const step = count ? sum / count / Math.sqrt(3) : 255;
+
+    return { colors: palette, nearest, spread: [step, step, step] };
+}
+
+/**
+ * Прямой цвет RGB332 (r — биты 0–2, g — 3–5, b — 6–7):
+ * ближайший уровень каждого канала, уровни раскрываются повтором бит, как в декодере
+ */
+function rgb332Target() {
+    const colors = [];
+    for (let v = 0; v < 256; v++) {
+        colors.push([expand(v & 7, 3), expand((v >> 3) & 7, 3), expand(v >> 6, 2)]);
+    }
+
+    function nearest(r, g, b) {
+        return level(r, 3) | (level(g, 3) << 3) | (level(b, 2) << 6);
+    }
+
+    return { colors, nearest, spread: [255 / 7, 255 / 7, 255 / 3] };
+}
+
+function level(value, bits) {
+    return Math.round((value * ((1 << bits) - 1)) / 255);
+}
+
+function expand(value, bits) {
+    return Math.round((value * 255) / ((1 << bits) - 1));
+}
+
+// -----------------------------------------------------------------------------
+// Dithering
+// -----------------------------------------------------------------------------
+
+// порог Байера 4×4, значения 0..15
+const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/**
+ * Кадр RGB24 → Uint16Array значений пикселя цели
+ *
+ * dither — 'none' | 'floyd-steinberg' | 'bayer'. Байер не зависит от соседних
+ * пикселей, поэтому неподвижная картинка не «кипит» между кадрами и дельта тайлов
+ * остаётся маленькой; ошибка Флойда–Стейнберга разносится по всему кадру
+ */
+function quantizeFrame(rgb, width, height, target, dither = 'none') {
+    const out = new Uint16Array(width * height);
+
+    if (dither === 'floyd-steinberg') {
+        floydSteinberg(rgb, width, height, target, out);
+        return out;
+    }
+
+    const { nearest, spread } = target;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            let r = rgb[i * 3];
+            let g = rgb[i * 3 + 1];
+            let b = rgb[i * 3 + 2];
+
+            if (dither === 'bayer') {
+                const t = (BAYER_4[(y & 3) * 4 + (x & 3)] + 0.5) / 16 - 0.5;
+                r = clamp(r + t * spread[0]);
+                g = clamp(g + t * spread[1]);
+                b = clamp(b + t * spread[2]);
+            }
+
+            out[i] = nearest(r, g, b);
+        }
+    }
+    return out;
+}
+
+function floydSteinberg(rgb, width, height, { nearest, colors }, out) {
+    const work = Float32Array.from(rgb);
+
+    function spread(x, y, er, eg, eb, weight) {
+        if (x < 0 || x >= width || y >= height) return;
+        const j = (y * width + x) * 3;
+        work[j] += er * weight;
+        work[j + 1] += eg * weight;
+        work[j + 2] += eb * weight;
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const r = clamp(work[i * 3]);
+            const g = clamp(work[i * 3 + 1]);
+            const b = clamp(work[i * 3 + 2]);
+            const v = nearest(r, g, b);
+            const [pr, pg, pb] = colors[v];
+
+            out[i] = v;
+
+            const er = work[i * 3] - pr;
+            const eg = work[i * 3 + 1] - pg;
+            const eb = work[i * 3 + 2] - pb;
+            spread(x + 1, y, er, eg, eb, 7 / 16);
+            spread(x - 1, y + 1, er, eg, eb, 3 / 16);
+            spread(x, y + 1, er, eg, eb, 5 / 16);
+            spread(x + 1, y + 1, er, eg, eb, 1 / 16);
+        }
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function nearestIndex(palette, r, g, b) {
+    let best = 0;
+    let bestDist = Infinity;
+
+    for (let i = 0; i < palette.length; i++) {
+        const [pr, pg, pb] = palette[i];
+        const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Квадрат расстояния между цветами
+ */
+function distance([r1, g1, b1], [r2, g2, b2]) {
+    return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+}
+
+function luma([r, g, b]) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function clamp(v) {
+    return v < 0 ? 0 : v > 255 ? 255 : Math.round(v);
+}
+
+module.exports = {
+    colorHistogram,
+    paletteTarget,
+    rgb332Target,
+    quantizeFrame,
+};
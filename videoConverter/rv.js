@@ -4,6 +4,7 @@ const fs = require('fs');
 const { spawn } = require('child_process');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const { colorHistogram, paletteTarget, quantizeFrame } = require('./palette');
 
 // -----------------------------------------------------------------------------
 // CLI
@@ -12,13 +13,27 @@ const { hideBin } = require('yargs/helpers');
 const argv = yargs(hideBin(process.argv))
     .option('file', { type: 'string', demandOption: true })
     .option('output', { type: 'string', demandOption: true })
-    .option('bits', { type: 'number', demandOption: true })
+    .option('bits', {
+        type: 'number',
+        demandOption: true,
+        describe: '1/2/4 — palette indices, 8 — RGB332, 9 — RGB333, 16 — RGB565',
+    })
     .option('res', { type: 'string', demandOption: true })
     .option('volume', { type: 'number', demandOption: true })
+    .option('palette', {
+        choices: ['median-cut', 'kmeans'],
+        default: 'median-cut',
+        describe: 'Palette for --bits 1/2/4, built from all frames',
+    })
+    .option('dither', {
+        choices: ['none', 'floyd-steinberg', 'bayer'],
+        default: 'none',
+        describe: 'Dithering to the palette for --bits 1/2/4',
+    })
     .help().argv;
 
-if (![8, 9].includes(argv.bits)) {
-    throw new Error('--bits must be 8 or 9');
+if (![1, 2, 4, 8, 9, 16].includes(argv.bits)) {
+    throw new Error('--bits must be 1, 2, 4, 8, 9 or 16');
 }
 
 const [WIDTH, HEIGHT] = argv.res.split(':').map(Number);
@@ -32,8 +47,12 @@ const VOLUME = argv.volume / 100;
 
 const TILE_W = 8;
 const TILE_H = 8;
+const INDEXED = argv.bits <= 4;
 const BYTES_PER_PIXEL = argv.bits === 8 ? 1 : 2;
-const BYTES_PER_TILE = TILE_W * TILE_H * BYTES_PER_PIXEL;
+const BYTES_PER_TILE = INDEXED
+    ? (TILE_W * TILE_H * argv.bits) >> 3
+    : TILE_W * TILE_H * BYTES_PER_PIXEL;
+const PALETTE_SIZE = INDEXED ? 1 << argv.bits : 0;
 
 const AUDIO_RATE = 11025;
 const FPS = 30;
@@ -50,6 +69,12 @@ function rgb333(r, g, b) {
     return ((b >> 5) << 6) | ((g >> 5) << 3) | (r >> 5);
 }
 
+function rgb565(r, g, b) {
+    return ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+}
+
+const encodePixel = { 8: rgb332, 9: rgb333, 16: rgb565 }[argv.bits];
+
 // -----------------------------------------------------------------------------
 // Tile extraction
 // -----------------------------------------------------------------------------
@@ -68,7 +93,12 @@ function extractTiles(frame) {
                 const row = (ty * TILE_H + y) * WIDTH + tx * TILE_W;
                 for (let x = 0; x < TILE_W; x++) {
                     const v = frame[row + x];
-                    if (argv.bits === 8) {
+                    if (INDEXED) {
+                        // индексы старшими битами вперёд, подряд через строки, как в gif2rvv.js
+                        for (let b = argv.bits - 1; b >= 0; b--, o++) {
+                            tile[o >> 3] |= ((v >> b) & 1) << (7 - (o & 7));
+                        }
+                    } else if (argv.bits === 8) {
                         tile[o++] = v;
                     } else {
                         tile.writeUInt16LE(v, o);
@@ -89,29 +119,29 @@ function extractTiles(frame) {
 const out = fs.openSync(argv.output, 'w');
 
 const HEADER_SIZE = 2 + 1 + 2 + 2 + 2 + 4 + 1 + 1 + 1 + 4 + 4 + 4 + 4;
+// палитра индексных режимов (RGB888) лежит сразу за заголовком
+const VIDEO_OFFSET = HEADER_SIZE + PALETTE_SIZE * 3;
 
 fs.writeSync(out, Buffer.alloc(HEADER_SIZE));
 console.log('[OUT] header reserved');
 
-// -----------------------------------------------------------------------------
-// VIDEO PHASE
-// -----------------------------------------------------------------------------
-
-console.log('[FFMPEG] start VIDEO');
-
-const ffmpegVideo = spawn('ffmpeg', [
-    '-i',
-    argv.file,
-    '-vf',
-    `scale=${WIDTH}:${HEIGHT}:flags=bicubic,format=rgb24`,
-    '-f',
-    'rawvideo',
-    '-pix_fmt',
-    'rgb24',
-    '-vsync',
-    '0',
-    'pipe:1',
-]);
+function spawnVideo() {
+    return spawn('ffmpeg', [
+        '-v',
+        'error',
+        '-i',
+        argv.file,
+        '-vf',
+        `scale=${WIDTH}:${HEIGHT}:flags=bicubic,format=rgb24`,
+        '-f',
+        'rawvideo',
+        '-pix_fmt',
+        'rgb24',
+        '-vsync',
+        '0',
+        'pipe:1',
+    ]);
+}
 
 const frameRGBSize = WIDTH * HEIGHT * 3;
 const framePixels = WIDTH * HEIGHT;
@@ -121,20 +151,91 @@ let prevTiles = null;
 let frameIndex = 0;
 let videoSize = 0;
 
-ffmpegVideo.stdout.on('data', (chunk) => {
+// -----------------------------------------------------------------------------
+// PALETTE PHASE (--bits 1/2/4): first pass over the video, histogram only
+// -----------------------------------------------------------------------------
+
+let target = null;
+
+if (INDEXED) {
+    console.log('[FFMPEG] start PALETTE');
+
+    const histogram = colorHistogram();
+    const ffmpegPalette = spawnVideo();
+    let paletteBuf = Buffer.alloc(0);
+    let stderr = '';
+
+    ffmpegPalette.stdout.on('data', (chunk) => {
+        paletteBuf = Buffer.concat([paletteBuf, chunk]);
+
+        while (paletteBuf.length >= frameRGBSize) {
+            histogram.add(paletteBuf.subarray(0, frameRGBSize));
+            paletteBuf = paletteBuf.subarray(frameRGBSize);
+        }
+    });
+
+    ffmpegPalette.stderr.on('data', (chunk) => {
+        stderr += chunk;
+    });
+
+    ffmpegPalette.on('error', (e) => abort(`ffmpeg: ${e.message}`));
+
+    ffmpegPalette.on('close', (code) => {
+        // пустая гистограмма дала бы чёрную палитру и пустое видео
+        if (code !== 0) abort(`ffmpeg failed: ${stderr.trim()}`);
+
+        const palette = histogram.palette(PALETTE_SIZE, argv.palette);
+        console.log(`[PALETTE] ${argv.palette}, ${PALETTE_SIZE} colors, dither=${argv.dither}`);
+
+        fs.writeSync(out, Buffer.from(palette.flat()));
+        target = paletteTarget(palette);
+        startVideo();
+    });
+} else {
+    startVideo();
+}
+
+/**
+ * Ошибка посреди прохода: недописанный файл удаляется
+ */
+function abort(message) {
+    fs.closeSync(out);
+    fs.unlinkSync(argv.output);
+    throw new Error(message);
+}
+
+// -----------------------------------------------------------------------------
+// VIDEO PHASE
+// -----------------------------------------------------------------------------
+
+function startVideo() {
+    console.log('[FFMPEG] start VIDEO');
+
+    const ffmpegVideo = spawnVideo();
+    ffmpegVideo.stdout.on('data', onVideoData);
+    ffmpegVideo.on('close', onVideoClose);
+}
+
+function onVideoData(chunk) {
     rgbBuf = Buffer.concat([rgbBuf, chunk]);
 
     while (rgbBuf.length >= frameRGBSize) {
         const rgb = rgbBuf.subarray(0, frameRGBSize);
         rgbBuf = rgbBuf.subarray(frameRGBSize);
 
-        const frame = argv.bits === 8 ? Buffer.alloc(framePixels) : new Uint16Array(framePixels);
+        let frame;
 
-        for (let i = 0, j = 0; i < framePixels; i++) {
-            const r = rgb[j++];
-            const g = rgb[j++];
-            const b = rgb[j++];
-            frame[i] = argv.bits === 8 ? rgb332(r, g, b) : rgb333(r, g, b);
+        if (INDEXED) {
+            frame = quantizeFrame(rgb, WIDTH, HEIGHT, target, argv.dither);
+        } else {
+            frame = argv.bits === 8 ? Buffer.alloc(framePixels) : new Uint16Array(framePixels);
+
+            for (let i = 0, j = 0; i < framePixels; i++) {
+                const r = rgb[j++];
+                const g = rgb[j++];
+                const b = rgb[j++];
+                frame[i] = encodePixel(r, g, b);
+            }
         }
 
         const tiles = extractTiles(frame);
@@ -178,9 +279,9 @@ ffmpegVideo.stdout.on('data', (chunk) => {
             //console.log('[VIDEO] frame', frameIndex);
         }
     }
-});
+}
 
-ffmpegVideo.on('close', () => {
+function onVideoClose() {
     console.log('[VIDEO] done, frames =', frameIndex);
 
     // -------------------------------------------------------------------------
@@ -195,7 +296,7 @@ ffmpegVideo.on('close', () => {
         videoSize += 1;
     }    
 
-    const audioOffset = HEADER_SIZE + videoSize;
+    const audioOffset = VIDEO_OFFSET + videoSize;
     let audioSamples = 0;
 
     const ffmpegAudio = spawn('ffmpeg', [
@@ -224,7 +325,7 @@ ffmpegVideo.on('close', () => {
 
         finalize(audioOffset, audioSamples);
     });
-});
+}
 
 // -----------------------------------------------------------------------------
 // FINALIZE
@@ -254,7 +355,7 @@ function finalize(audioOffset, audioSamples) {
     o += 1;
     header.writeUInt8(TILE_H, o);
     o += 1;
-    header.writeUInt32LE(HEADER_SIZE, o);
+    header.writeUInt32LE(VIDEO_OFFSET, o);
     o += 4; // videoOffset
     header.writeUInt32LE(audioOffset, o);
     o += 4;
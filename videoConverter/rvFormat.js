@@ -0,0 +1,432 @@
+// Чтение файлов gif2rvv.js (.rvv) и rv.js (.rv): заголовок, палитра,
+// кадры со skip-index обновлениями тайлов и PCM-звук.
+// Это эталонный декодер для проверки вывода энкодеров на компьютере.
+
+// -----------------------------------------------------------------------------
+// Заголовки
+// -----------------------------------------------------------------------------
+
+/*
+RVV v6 (gif2rvv.js), 18 байт + палитра
+--------------------------------
+char[3]  "RVV"
+uint8    version = 6
+uint16   width
+uint16   height
+uint8    tile_w
+uint8    tile_h
+uint8    bpp            1/2/4 — индексы палитры, 8 — RGB332
+uint8    fps
+uint16   frame_count
+uint16   palette_size
+uint16   keyframe_interval
+uint8[3] palette[palette_size]  RGB888
+
+RV v4 (rv.js), 32 байта + палитра у индексных режимов
+--------------------------------
+char[2]  "RV"
+uint8    version = 4
+uint16   width
+uint16   height
+uint16   fps
+uint32   frame_count
+uint8    bits           1/2/4 — индексы палитры, 8 — RGB332, 9 — RGB333 в uint16,
+                        16 — RGB565 в uint16
+uint8    tile_w
+uint8    tile_h
+uint32   video_offset
+uint32   audio_offset
+uint32   audio_rate
+uint32   audio_samples  PCM s16le mono
+uint8[3] palette[1 << bits]  RGB888, только при bits 1/2/4
+*/
+
+const RVV_HEADER_SIZE = 18;
+const RV_HEADER_SIZE = 32;
+
+// bits заголовка .rv → формат пикселя
+const RV_PIXELS = {
+    1: 'indexed',
+    2: 'indexed',
+    4: 'indexed',
+    8: 'rgb332',
+    9: 'rgb333',
+    16: 'rgb565',
+};
+
+/**
+ * Разбирает заголовок .rvv или .rv (формат — по сигнатуре)
+ *
+ * Возвращает { format, version, width, height, tileW, tileH, bpp, fps, frameCount,
+ *              palette, keyframeInterval, pixel, bytesPerTile, tilesX, tilesY,
+ *              videoOffset, audio }:
+ * pixel — 'indexed' | 'rgb332' | 'rgb333' | 'rgb565', palette — [[r, g, b], ...] или null,
+ * audio — { offset, rate, samples } у .rv (samples = 0 — без звука), у .rvv null
+ */
+function parseHeader(buf) {
+    if (buf.length >= 4 && buf.toString('latin1', 0, 3) === 'RVV') return parseRVV(buf);
+    if (buf.length >= 3 && buf.toString('latin1', 0, 2) === 'RV') return parseRV(buf);
+
+    throw new Error('Not an RVV or RV file');
+}
+
+function parseRVV(buf) {
+    const version = buf[3];
+
+    if (version !== 6) {
+        throw new Error(`Unsupported RVV version ${version}, expected 6`);
+    }
+    if (buf.length < RVV_HEADER_SIZE) {
+        throw new Error(`RVV header truncated: ${buf.length} of ${RVV_HEADER_SIZE} bytes`);
+    }
+
+    const bpp = buf[10];
+    const paletteSize = buf.readUInt16LE(14);
+    const videoOffset = RVV_HEADER_SIZE + paletteSize * 3;
+
+    if (![1, 2, 4, 8].includes(bpp)) {
+        throw new Error(`Invalid bpp ${bpp}`);
+    }
+    if (buf.length < videoOffset) {
+        throw new Error(`RVV palette truncated: ${paletteSize} colors need ${videoOffset} bytes`);
+    }
+
+    const palette = readPalette(buf, RVV_HEADER_SIZE, paletteSize);
+
+    return geometry({
+        format: 'rvv',
+        version,
+        width: buf.readUInt16LE(4),
+        height: buf.readUInt16LE(6),
+        tileW: buf[8],
+        tileH: buf[9],
+        bpp,
+        fps: buf[11],
+        frameCount: buf.readUInt16LE(12),
+        palette,
+        keyframeInterval: buf.readUInt16LE(16),
+        // 8 bpp — прямой цвет, палитра в файле есть, но не используется
+        pixel: bpp === 8 ? 'rgb332' : 'indexed',
+        videoOffset,
+        audio: null,
+    });
+}
+
+function parseRV(buf) {
+    const version = buf[2];
+
+    if (version !== 4) {
+        throw new Error(`Unsupported RV version ${version}, expected 4`);
+    }
+    if (buf.length < RV_HEADER_SIZE) {
+        throw new Error(`RV header truncated: ${buf.length} of ${RV_HEADER_SIZE} bytes`);
+    }
+
+    const bits = buf[13];
+    const pixel = RV_PIXELS[bits];
+
+    if (!pixel) {
+        throw new Error(`Invalid bits ${bits}`);
+    }
+
+    const paletteSize = pixel === 'indexed' ? 1 << bits : 0;
+    const paletteEnd = RV_HEADER_SIZE + paletteSize * 3;
+    if (buf.length < paletteEnd) {
+        throw new Error(`RV palette truncated: ${paletteSize} colors need ${paletteEnd} bytes`);
+    }
+
+    return geometry({
+        format: 'rv',
+        version,
+        width: buf.readUInt16LE(3),
+        height: buf.readUInt16LE(5),
+        tileW: buf[14],
+        tileH: buf[15],
+        bpp: bits,
+        fps: buf.readUInt16LE(7),
+        frameCount: buf.readUInt32LE(9),
+        palette: paletteSize ? readPalette(buf, RV_HEADER_SIZE, paletteSize) : null,
+        keyframeInterval: 0,
+        pixel,
+        videoOffset: buf.readUInt32LE(16),
+        // смещение пишется и без звука: перед ним кончается видео
+        audio: {
+            offset: buf.readUInt32LE(20),
+            rate: buf.readUInt32LE(24),
+            samples: buf.readUInt32LE(28),
+        },
+    });
+}
+
+function readPalette(buf, offset, size) {
+    const palette = [];
+    for (let i = 0; i < size; i++) {
+        const o = offset + i * 3;
+        palette.push([buf[o], buf[o + 1], buf[o + 2]]);
+    }
+    return palette;
+}
+
+/**
+ * Дополняет заголовок сеткой тайлов и размером тайла в байтах
+ */
+function geometry(header) {
+    const { width, height, tileW, tileH, bpp, pixel } = header;
+
+    if (!tileW || !tileH || width % tileW || height % tileH) {
+        throw new Error(`${width}x${height} is not divisible into ${tileW}x${tileH} tiles`);
+    }
+
+    const pixels = tileW * tileH;
+    let bytesPerTile = pixels;
+    if (pixel === 'indexed') bytesPerTile = (pixels * bpp) >> 3;
+    if (pixel === 'rgb333' || pixel === 'rgb565') bytesPerTile = pixels * 2;
+
+    return {
+        ...header,
+        bytesPerTile,
+        tilesX: width / tileW,
+        tilesY: height / tileH,
+    };
+}
+
+// -----------------------------------------------------------------------------
+// Кадры
+// -----------------------------------------------------------------------------
+
+/*
+Frame
+----------------
+uint8   flags         bit0 = keyframe
+uint16  update_count
+TileUpdate[update_count]:
+  uint8   skip        255 — пропустить 255 тайлов и читать следующий skip
+  bytes   tile_data   bytesPerTile
+*/
+
+/**
+ * Перебирает кадры по порядку, не распаковывая пиксели
+ *
+ * Каждый кадр: { index, offset, size, keyframe, flags, updates },
+ * updates — [{ tile, offset }], offset — начало данных тайла в buf.
+ * Обрезанный или противоречивый кадр — Error с номером кадра и смещением
+ */
+function* readFrames(buf, header) {
+    const { frameCount, bytesPerTile, tilesX, tilesY } = header;
+    const tileCount = tilesX * tilesY;
+    let o = header.videoOffset;
+
+    for (let index = 0; index < frameCount; index++) {
+        const start = o;
+
+        if (o + 3 > buf.length) {
+            throw new Error(`Frame ${index} truncated at offset ${o}: no frame header`);
+        }
+
+        const flags = buf[o];
+        const count = buf.readUInt16LE(o + 1);
+        o += 3;
+
+        const updates = [];
+        let tile = 0;
+
+        for (let i = 0; i < count; i++) {
+            let skip;
+            do {
+                if (o >= buf.length) {
+                    throw new Error(`Frame ${index} truncated at offset ${o}: update ${i}`);
+                }
+                skip = buf[o++];
+                tile += skip;
+            } while (skip === 255);
+
+            if (tile >= tileCount) {
+                throw new Error(
+                    `Frame ${index}: update ${i} points to tile ${tile} of ${tileCount}`
+                );
+            }
+            if (o + bytesPerTile > buf.length) {
+                throw new Error(`Frame ${index} truncated at offset ${o}: tile ${tile} data`);
+            }
+
+            updates.push({ tile, offset: o });
+            o += bytesPerTile;
+            tile++;
+        }
+
+        yield {
+            index,
+            offset: start,
+            size: o - start,
+            keyframe: Boolean(flags & 1),
+            flags,
+            updates,
+        };
+    }
+}
+
+/**
+ * Распаковывает все кадры: кадровый буфер хранит значения пикселей
+ * (индексы палитры, RGB332 или RGB333), наружу отдаётся RGBA
+ *
+ * Каждый кадр: { index, keyframe, updates, rgba }, rgba — Buffer width × height × 4
+ * (один и тот же буфер на все кадры, его нужно скопировать, если он нужен дольше)
+ */
+function* decodeFrames(buf, header = parseHeader(buf)) {
+    const { width, height, tileW, tileH, tilesX } = header;
+    const fb = new Uint16Array(width * height);
+    const rgba = Buffer.alloc(width * height * 4);
+    const colors = colorTable(header);
+    const colorCount = colors.length / 3;
+
+    for (const frame of readFrames(buf, header)) {
+        for (const { tile, offset } of frame.updates) {
+            const values = unpackTile(buf, offset, header);
+            const tx = (tile % tilesX) * tileW;
+            const ty = Math.floor(tile / tilesX) * tileH;
+
+            for (let y = 0; y < tileH; y++) {
+                for (let x = 0; x < tileW; x++) {
+                    fb[(ty + y) * width + tx + x] = values[y * tileW + x];
+                }
+            }
+        }
+
+        for (let i = 0; i < fb.length; i++) {
+            const v = fb[i];
+            if (v >= colorCount) {
+                throw new Error(
+                    `Frame ${frame.index}: pixel index ${v} outside the ${colorCount}-color palette`
+                );
+            }
+            rgba[i * 4] = colors[v * 3];
+            rgba[i * 4 + 1] = colors[v * 3 + 1];
+            rgba[i * 4 + 2] = colors[v * 3 + 2];
+            rgba[i * 4 + 3] = 255;
+        }
+
+        yield { index: frame.index, keyframe: frame.keyframe, updates: frame.updates.length, rgba };
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Пиксели
+// -----------------------------------------------------------------------------
+
+/**
+ * Значения пикселей тайла построчно
+ */
+function unpackTile(buf, offset, { tileW, tileH, bpp, pixel }) {
+    const count = tileW * tileH;
+    const values = new Uint16Array(count);
+
+    if (pixel === 'rgb332') {
+        for (let i = 0; i < count; i++) values[i] = buf[offset + i];
+        return values;
+    }
+
+    if (pixel === 'rgb333' || pixel === 'rgb565') {
+        for (let i = 0; i < count; i++) values[i] = buf.readUInt16LE(offset + i * 2);
+        return values;
+    }
+
+    // индексы 1/2/4 bpp, старшие биты первыми, без выравнивания строк
+    let bit = 0;
+    for (let i = 0; i < count; i++) {
+        let v = 0;
+        for (let b = 0; b < bpp; b++, bit++) {
+            v = (v << 1) | ((buf[offset + (bit >> 3)] >> (7 - (bit & 7))) & 1);
+        }
+        values[i] = v;
+    }
+    return values;
+}
+
+/**
+ * Уровень из n бит → 0..255 (повтором бит: 7 → 255, а не 224, как у сдвига)
+ */
+function expand(value, bits) {
+    return Math.round((value * 255) / ((1 << bits) - 1));
+}
+
+/**
+ * Цвета всех возможных значений пикселя: Uint8Array [r, g, b, r, g, b, ...]
+ * (палитра, 256 цветов RGB332, 512 цветов RGB333 или 65536 цветов RGB565)
+ */
+function colorTable({ pixel, palette }) {
+    if (pixel === 'indexed') return Uint8Array.from(palette.flat());
+
+    if (pixel === 'rgb565') {
+        // r — старшие 5 бит, b — младшие, как у дисплеев
+        const table = new Uint8Array(65536 * 3);
+        for (let v = 0; v < 65536; v++) {
+            table[v * 3] = expand(v >> 11, 5);
+            table[v * 3 + 1] = expand((v >> 5) & 63, 6);
+            table[v * 3 + 2] = expand(v & 31, 5);
+        }
+        return table;
+    }
+
+    const count = pixel === 'rgb333' ? 512 : 256;
+    const table = new Uint8Array(count * 3);
+
+    for (let v = 0; v < count; v++) {
+        table[v * 3] = expand(v & 7, 3);
+        table[v * 3 + 1] = expand((v >> 3) & 7, 3);
+        table[v * 3 + 2] = pixel === 'rgb333' ? expand(v >> 6, 3) : expand(v >> 6, 2);
+    }
+    return table;
+}
+
+// -----------------------------------------------------------------------------
+// Звук
+// -----------------------------------------------------------------------------
+
+/**
+ * PCM звуковой дорожки .rv (s16le mono) в WAV; null — звука нет
+ */
+function extractWav(buf, header) {
+    const { audio } = header;
+    if (!audio || !audio.samples) return null;
+
+    const end = audio.offset + audio.samples * 2;
+    if (end > buf.length) {
+        throw new Error(`Audio truncated: ${audio.samples} samples need ${end} bytes`);
+    }
+
+    return makeWav(buf.subarray(audio.offset, end), audio.rate);
+}
+
+/**
+ * Заголовок RIFF/WAVE для PCM 16 бит mono
+ */
+function makeWav(pcm, rate) {
+    const wav = Buffer.alloc(44 + pcm.length);
+
+    wav.write('RIFF', 0, 'latin1');
+    wav.writeUInt32LE(36 + pcm.length, 4);
+    wav.write('WAVE', 8, 'latin1');
+    wav.write('fmt ', 12, 'latin1');
+    wav.writeUInt32LE(16, 16); // размер блока fmt
+    wav.writeUInt16LE(1, 20); // PCM
+    wav.writeUInt16LE(1, 22); // mono
+    wav.writeUInt32LE(rate, 24);
+    wav.writeUInt32LE(rate * 2, 28); // байт в секунду
+    wav.writeUInt16LE(2, 32); // байт на сэмпл
+    wav.writeUInt16LE(16, 34); // бит на сэмпл
+    wav.write('data', 36, 'latin1');
+    wav.writeUInt32LE(pcm.length, 40);
+    pcm.copy(wav, 44);
+
+    return wav;
+}
+
+module.exports = {
+    parseHeader,
+    readFrames,
+    decodeFrames,
+    unpackTile,
+    colorTable,
+    extractWav,
+    makeWav,
+};
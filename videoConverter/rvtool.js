@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const {
+    parseHeader,
+    readFrames,
+    decodeFrames,
+    unpackTile,
+    extractWav,
+} = require('./rvFormat');
+
+// -----------------------------------------------------------------------------
+// Commands
+// -----------------------------------------------------------------------------
+
+/**
+ * decode: кадры .rvv/.rv → PNG-последовательность и/или GIF, звук .rv → WAV
+ */
+async function decode(argv) {
+    const buf = fs.readFileSync(argv.input);
+    const header = parseHeader(buf);
+    const { width, height, fps, frameCount } = header;
+
+    const start = argv.start;
+    const end = Math.min(frameCount, argv.count === undefined ? frameCount : start + argv.count);
+
+    console.log(describe(header));
+
+    if (argv.png) fs.mkdirSync(argv.png, { recursive: true });
+
+    const gifFrames = [];
+    let written = 0;
+
+    if (argv.png || argv.gif) {
+        // кадры до start тоже распаковываются: обновления тайлов накапливаются
+        for (const frame of decodeFrames(buf, header)) {
+            if (frame.index >= end) break;
+            if (frame.index < start) continue;
+
+            if (argv.png) {
+                const name = `frame_${String(frame.index).padStart(4, '0')}.png`;
+                await sharp(frame.rgba, { raw: { width, height, channels: 4 } })
+                    .png()
+                    .toFile(path.join(argv.png, name));
+            }
+            if (argv.gif) gifFrames.push(Buffer.from(frame.rgba));
+            written++;
+        }
+    }
+
+    if (argv.png) console.log(`PNG: ${written} frames -> ${argv.png}`);
+
+    if (argv.gif) {
+        if (!gifFrames.length) throw new Error('No frames in the selected range');
+
+        // кадры друг под другом, pageHeight делит их обратно; GIF — не больше 256 цветов
+        await sharp(Buffer.concat(gifFrames), {
+            raw: { width, height: height * gifFrames.length, channels: 4, pageHeight: height },
+        })
+            .gif({ delay: gifFrames.map(() => Math.round(1000 / (fps || 1))), loop: 0 })
+            .toFile(argv.gif);
+        console.log(`GIF: ${gifFrames.length} frames -> ${argv.gif}`);
+    }
+
+    if (argv.wav) {
+        const wav = extractWav(buf, header);
+        if (!wav) throw new Error(`${argv.input} has no audio track`);
+
+        fs.writeFileSync(argv.wav, wav);
+        const { samples, rate } = header.audio;
+        console.log(`WAV: ${samples} samples @ ${rate} Hz -> ${argv.wav}`);
+    }
+}
+
+/**
+ * inspect: заголовок, таблица кадров и битрейт для проверки бюджета флеша и SPI;
+ * обрезанный или противоречивый файл и превышение --flash/--max-frame — код выхода 1
+ */
+async function inspect(argv) {
+    const buf = fs.readFileSync(argv.input);
+    const header = parseHeader(buf);
+    const { width, height, tileW, tileH, tilesX, tilesY, bytesPerTile, fps, frameCount } = header;
+    const { frames, videoEnd, problems } = analyze(buf, header);
+
+    console.log(`${argv.input}: ${buf.length} bytes (${kib(buf.length)})`);
+    console.log(`Format:    ${header.format.toUpperCase()} v${header.version}`);
+    console.log(
+        `Geometry:  ${width}x${height}, ${tileW}x${tileH} tiles (${tilesX}x${tilesY}), ` +
+            `${bytesPerTile} bytes per tile`
+    );
+    console.log(`Pixels:    ${describeDepth(header)}`);
+    console.log(`FPS:       ${fps}`);
+
+    const keyframes = frames.filter((f) => f.keyframe).length;
+    let frameLine = `Frames:    ${frameCount}, keyframes ${keyframes}`;
+    if (header.format === 'rvv') {
+        const interval = header.keyframeInterval;
+        frameLine += `, interval ${interval ? `${interval}` : '0 (first only)'}`;
+    }
+    console.log(frameLine);
+
+    printPalette(header);
+
+    console.log(
+        `Video:     offset ${header.videoOffset}, ${videoEnd - header.videoOffset} bytes`
+    );
+    const { audio } = header;
+    if (audio && audio.samples) {
+        console.log(
+            `Audio:     offset ${audio.offset}, ${audio.samples} samples @ ${audio.rate} Hz ` +
+                `(${seconds(audio.samples, audio.rate)}), ${audio.samples * 2} bytes`
+        );
+    } else {
+        console.log(`Audio:     none${audio ? ` (offset ${audio.offset})` : ''}`);
+    }
+
+    const over = [];
+
+    if (argv.frames && frames.length) {
+        console.log('');
+        console.log(' frame  key  updates     bytes     offset');
+        for (const f of frames) {
+            const mark = argv.maxFrame !== undefined && f.size > argv.maxFrame ? '  !' : '';
+            console.log(
+                String(f.index).padStart(6) +
+                    (f.keyframe ? 'K' : '').padStart(5) +
+                    String(f.updates).padStart(9) +
+                    String(f.size).padStart(10) +
+                    String(f.offset).padStart(11) +
+                    mark
+            );
+        }
+    }
+
+    console.log('');
+
+    if (frames.length && fps) {
+        const videoBytes = frames.reduce((sum, f) => sum + f.size, 0);
+        const peak = frames.reduce((max, f) => (f.size > max.size ? f : max));
+        const partial = frames.length < frameCount ? ` over ${frames.length} readable frames` : '';
+
+        console.log(`Duration:  ${seconds(frameCount, fps)}`);
+        console.log(`Bitrate:   average ${rate((videoBytes * fps) / frames.length)}${partial}`);
+        console.log(
+            `           peak ${rate(peak.size * fps)} at frame ${peak.index}, ${peak.size} bytes`
+        );
+        if (audio && audio.samples) {
+            console.log(`           audio ${rate(audio.rate * 2)}`);
+        }
+
+        if (argv.maxFrame !== undefined) {
+            const count = frames.filter((f) => f.size > argv.maxFrame).length;
+            if (count) over.push(`${count} frames exceed --max-frame ${argv.maxFrame} bytes`);
+        }
+    }
+
+    if (argv.flash !== undefined && buf.length > argv.flash) {
+        over.push(`File ${buf.length} bytes exceeds --flash ${argv.flash} bytes`);
+    }
+
+    if (problems.length) {
+        console.log('');
+        console.log(`Problems (${problems.length}):`);
+        for (const p of problems) console.log(`  - ${p}`);
+    }
+    if (over.length) {
+        console.log('');
+        console.log('Over budget:');
+        for (const p of over) console.log(`  - ${p}`);
+    }
+    if (problems.length || over.length) {
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('OK');
+}
+
+/**
+ * Проходит кадры и хвост файла, собирает проблемы вместо исключений
+ *
+ * Возвращает { frames: [{ index, offset, size, keyframe, updates }], videoEnd, problems };
+ * на обрезанном кадре перебор останавливается, frames — прочитанные до него
+ */
+function analyze(buf, header) {
+    const { format, bpp, pixel, palette, fps, frameCount, keyframeInterval, audio } = header;
+    const tileCount = header.tilesX * header.tilesY;
+    const problems = [];
+    const frames = [];
+    let videoEnd = header.videoOffset;
+    let truncated = false;
+
+    if (!frameCount) problems.push('Header: frame count is 0');
+    if (!fps) problems.push('Header: fps is 0');
+    // у .rv заголовок 32 байта, за ним палитра индексных режимов
+    const headerEnd = format === 'rv' ? 32 + (palette ? palette.length * 3 : 0) : 0;
+    if (header.videoOffset < headerEnd) {
+        problems.push(
+            `Header: video offset ${header.videoOffset} is inside the header (${headerEnd} bytes)`
+        );
+    }
+    if (pixel === 'indexed' && palette.length > 1 << bpp) {
+        problems.push(
+            `Header: ${palette.length}-color palette, ${bpp}bpp addresses only ${1 << bpp}`
+        );
+    }
+
+    // индексы за концом палитры возможны, только если она короче 2^bpp
+    const checkIndices = pixel === 'indexed' && palette.length < 1 << bpp;
+
+    try {
+        for (const frame of readFrames(buf, header)) {
+            const { index, offset, size, keyframe, updates } = frame;
+
+            frames.push({ index, offset, size, keyframe, updates: updates.length });
+            videoEnd = offset + size;
+
+            const due = index === 0 || (keyframeInterval > 0 && index % keyframeInterval === 0);
+            if (due && !keyframe) {
+                problems.push(`Frame ${index}: expected a keyframe`);
+            }
+            if (keyframe && updates.length !== tileCount) {
+                problems.push(
+                    `Frame ${index}: keyframe updates ${updates.length} of ${tileCount} tiles`
+                );
+            }
+            if (checkIndices) {
+                const bad = updates.some((u) =>
+                    unpackTile(buf, u.offset, header).some((v) => v >= palette.length)
+                );
+                if (bad) {
+                    problems.push(
+                        `Frame ${index}: pixel index outside the ${palette.length}-color palette`
+                    );
+                }
+            }
+        }
+    } catch (e) {
+        problems.push(e.message);
+        truncated = true;
+    }
+
+    if (truncated) return { frames, videoEnd, problems };
+
+    if (format === 'rvv') {
+        if (buf.length > videoEnd) {
+            problems.push(`${buf.length - videoEnd} bytes after the last frame`);
+        }
+        return { frames, videoEnd, problems };
+    }
+
+    // rv.js выравнивает звук на 2 байта одним нулём после видео
+    const audioStart = videoEnd + (videoEnd & 1);
+    const audioEnd = audio.offset + audio.samples * 2;
+
+    if (audio.offset < videoEnd) {
+        problems.push(`Audio offset ${audio.offset} overlaps video ending at ${videoEnd}`);
+    } else if (audio.offset !== audioStart) {
+        problems.push(`Audio offset ${audio.offset}, expected ${audioStart} after the video`);
+    }
+
+    if (audioEnd > buf.length) {
+        problems.push(
+            `Audio truncated: ${audio.samples} samples end at ${audioEnd}, ` +
+                `file is ${buf.length} bytes`
+        );
+    } else if (buf.length > audioEnd) {
+        problems.push(`${buf.length - audioEnd} bytes after the audio`);
+    }
+
+    return { frames, videoEnd, problems };
+}
+
+/**
+ * Палитра по 8 цветов в строке; у RGB332/RGB333 только пометка
+ */
+function printPalette({ pixel, palette }) {
+    if (!palette) return;
+
+    if (pixel !== 'indexed') {
+        console.log(`Palette:   ${palette.length} colors (unused with ${pixel})`);
+        return;
+    }
+
+    console.log(`Palette:   ${palette.length} colors`);
+    for (let i = 0; i < palette.length; i += 8) {
+        const row = palette.slice(i, i + 8).map(([r, g, b], j) => {
+            const hex = ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+            return `${String(i + j).padStart(3)} #${hex}`;
+        });
+        console.log(`  ${row.join('  ')}`);
+    }
+}
+
+function describeDepth({ bpp, pixel }) {
+    if (pixel === 'indexed') return `${bpp}bpp indexed`;
+    return { rgb332: 'RGB332', rgb333: 'RGB333 (uint16)', rgb565: 'RGB565 (uint16)' }[pixel];
+}
+
+function kib(bytes) {
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+}
+
+function seconds(count, perSecond) {
+    return `${(count / perSecond).toFixed(2)} s`;
+}
+
+/**
+ * Байт в секунду → "123.4 kbit/s (15.4 KiB/s)"
+ */
+function rate(bytesPerSecond) {
+    return `${((bytesPerSecond * 8) / 1000).toFixed(1)} kbit/s (${kib(bytesPerSecond)}/s)`;
+}
+
+/**
+ * Размер в байтах: 1048576, 512K, 4M
+ */
+function parseSize(value) {
+    const m = /^(\d+(?:\.\d+)?)\s*([kKmM]?)i?[bB]?$/.exec(String(value).trim());
+    if (!m) throw new Error(`Invalid size "${value}", expected e.g. 65536, 512K or 4M`);
+
+    const unit = { '': 1, k: 1024, m: 1024 * 1024 }[m[2].toLowerCase()];
+    return Math.floor(Number(m[1]) * unit);
+}
+
+/**
+ * "RVV v6 | 128x64 | 4bpp indexed, 16 colors | 24fps | 120 frames"
+ */
+function describe(header) {
+    const { format, version, width, height, bpp, pixel, palette, fps, frameCount, audio } = header;
+    const depth = pixel === 'indexed' ? `${bpp}bpp indexed, ${palette.length} colors` : pixel;
+
+    let s = `${format.toUpperCase()} v${version} | ${width}x${height} | ${depth} | `;
+    s += `${fps}fps | ${frameCount} frames`;
+    if (audio && audio.samples) s += ` | audio ${audio.samples} samples @ ${audio.rate} Hz`;
+    return s;
+}
+
+// -----------------------------------------------------------------------------
+// CLI
+// -----------------------------------------------------------------------------
+
+yargs(hideBin(process.argv))
+    .command(
+        'decode <input>',
+        'Decode an .rvv/.rv file to PNG frames, a GIF and WAV audio',
+        (y) =>
+            y
+                .positional('input', { type: 'string', describe: '.rvv or .rv file' })
+                .option('png', { type: 'string', describe: 'Directory for frame_NNNN.png' })
+                .option('gif', { type: 'string', describe: 'Animated GIF (max 256 colors)' })
+                .option('wav', { type: 'string', describe: 'Audio track of an .rv file' })
+                .option('start', { type: 'number', default: 0, describe: 'First frame' })
+                .option('count', { type: 'number', describe: 'Number of frames' })
+                .check((argv) => {
+                    if (!argv.png && !argv.gif && !argv.wav) {
+                        throw new Error('Nothing to do: give --png, --gif and/or --wav');
+                    }
+                    if (!(argv.start >= 0) || (argv.count !== undefined && !(argv.count > 0))) {
+                        throw new Error('--start must be >= 0 and --count > 0');
+                    }
+                    return true;
+                }),
+        run(decode)
+    )
+    .command(
+        'inspect <input>',
+        'Print the header, per-frame table and bitrate; check for damage and budgets',
+        (y) =>
+            y
+                .positional('input', { type: 'string', describe: '.rvv or .rv file' })
+                .option('frames', {
+                    type: 'boolean',
+                    default: true,
+                    describe: 'Per-frame table (--no-frames: summary only)',
+                })
+                .option('flash', {
+                    type: 'string',
+                    coerce: parseSize,
+                    describe: 'Flash budget for the whole file: bytes, K or M',
+                })
+                .option('max-frame', {
+                    type: 'string',
+                    coerce: parseSize,
+                    describe: 'Per-frame budget in bytes, K or M',
+                }),
+        run(inspect)
+    )
+    .demandCommand(1)
+    .strict()
+    .help().argv;
+
+/**
+ * Обработчик команды: ошибка — сообщение и код выхода 1
+ */
+function run(command) {
+    return (argv) =>
+        command(argv).catch((e) => {
+            console.error(e.message);
+            process.exitCode = 1;
+        });
+}